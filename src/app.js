@@ -8,6 +8,7 @@ const swaggerUi = require('swagger-ui-express');
 
 const { errorHandler, notFound } = require('./middlewares/error.middleware');
 const swaggerSpec = require('./config/swagger');
+const { getStorage } = require('./storage');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -18,9 +19,26 @@ const authorRoutes = require('./routes/author.routes');
 const bookmarkRoutes = require('./routes/bookmark.routes');
 const readingHistoryRoutes = require('./routes/readingHistory.routes');
 const uploadRoutes = require('./routes/upload.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const adminRoutes = require('./routes/admin.routes');
+const searchRoutes = require('./routes/search.routes');
+const jobRoutes = require('./routes/job.routes');
 
 const app = express();
 
+// TRUST_PROXY: set when running behind a reverse proxy or load balancer so req.ip is the
+// client address from X-Forwarded-For (used for rate limiting and anonymous view counting).
+// "true" trusts every hop, a number trusts that many hops, anything else is passed to
+// Express as-is (e.g. "loopback" or a comma-separated list of proxy addresses). Unset: off.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -91,6 +109,13 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Images saved by the local storage driver (STORAGE_DRIVER=local)
+const storage = getStorage();
+if (storage.name === 'local') {
+  // Keys are unique per upload, so files never change
+  app.use('/uploads', express.static(storage.directory, { maxAge: '365d', immutable: true }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/manga', mangaRoutes);
@@ -100,6 +125,10 @@ app.use('/api/authors', authorRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
 app.use('/api/reading-history', readingHistoryRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -117,6 +146,10 @@ app.get('/', (req, res) => {
       bookmarks: '/api/bookmarks',
       readingHistory: '/api/reading-history',
       upload: '/api/upload',
+      notifications: '/api/notifications',
+      admin: '/api/admin',
+      search: '/api/search',
+      jobs: '/api/jobs',
     },
   });
 });
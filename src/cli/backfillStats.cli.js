@@ -0,0 +1,67 @@
+/**
+ * Backfill DailyStats for a date range
+ *
+ * Usage:
+ *   npm run stats:backfill -- --from 2025-01-01 --to 2025-01-31
+ *   npm run stats:backfill -- --days 7
+ */
+require('dotenv').config();
+const prisma = require('../config/database');
+const { backfillDailyStats } = require('../services/stats.service');
+const {
+  startOfUtcDay,
+  addDays,
+  parseDateOnly,
+  formatDateOnly,
+} = require('../utils/date.util');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const today = startOfUtcDay();
+
+  let from;
+  let to;
+
+  if (args.days) {
+    to = today;
+    from = addDays(today, -(parseInt(args.days) - 1));
+  } else {
+    from = parseDateOnly(args.from);
+    to = args.to ? parseDateOnly(args.to) : today;
+  }
+
+  if (!from || !to) {
+    console.error('Usage: --from YYYY-MM-DD [--to YYYY-MM-DD] | --days N');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`📊 Backfilling daily stats from ${formatDateOnly(from)} to ${formatDateOnly(to)}`);
+
+  const processed = await backfillDailyStats(from, to, (row) => {
+    console.log(
+      `   ${formatDateOnly(row.date)}: +${row.newUsers} users, +${row.newMangas} manga, ` +
+      `+${row.newChapters} chapters, ${row.totalViews} views, ${row.totalComments} comments`
+    );
+  });
+
+  console.log(`✅ Backfilled ${processed} day(s)`);
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
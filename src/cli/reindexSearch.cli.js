@@ -0,0 +1,29 @@
+/**
+ * Rebuild the manga search columns (searchTitle / searchText)
+ *
+ * Run after deploying the search feature or after bulk imports that
+ * bypass manga.service.
+ *
+ * Usage:
+ *   npm run search:reindex
+ */
+require('dotenv').config();
+const prisma = require('../config/database');
+const { reindexAllManga } = require('../services/search.service');
+
+const main = async () => {
+  console.log('🔎 Reindexing manga search columns');
+
+  const processed = await reindexAllManga((count) => {
+    console.log(`   ${count} manga reindexed`);
+  });
+
+  console.log(`✅ Reindexed ${processed} manga`);
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Reindex failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
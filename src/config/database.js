@@ -8,6 +8,11 @@ const prismaOptions = {
     ? ['query', 'info', 'warn', 'error'] 
     : ['error'],
   
+  // Internal search columns are only read by raw SQL in search.service
+  omit: {
+    manga: { searchTitle: true, searchText: true },
+  },
+
   // Connection retry configuration for CockroachDB
   datasources: {
     db: {
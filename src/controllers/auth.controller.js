@@ -1,6 +1,17 @@
 const asyncHandler = require('../utils/asyncHandler.util');
-const { sendTokenResponse, verifyRefreshToken, generateAccessToken } = require('../utils/jwt.util');
+const { AppError } = require('../middlewares/error.middleware');
+const { sendTokenResponse } = require('../utils/jwt.util');
 const authService = require('../services/auth.service');
+const sessionService = require('../services/session.service');
+
+/**
+ * Client details recorded on the session
+ */
+const getClientInfo = (req) => ({
+  deviceName: req.body.deviceName,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+});
 
 /**
  * @desc    Register new user
@@ -9,7 +20,8 @@ const authService = require('../services/auth.service');
  */
 exports.register = asyncHandler(async (req, res, next) => {
   const user = await authService.registerUser(req.body);
-  sendTokenResponse(user, 201, res);
+  const tokens = await sessionService.createSession(user.id, getClientInfo(req));
+  sendTokenResponse(user, 201, res, tokens);
 });
 
 /**
@@ -19,7 +31,8 @@ exports.register = asyncHandler(async (req, res, next) => {
  */
 exports.login = asyncHandler(async (req, res, next) => {
   const user = await authService.loginUser(req.body);
-  sendTokenResponse(user, 200, res);
+  const tokens = await sessionService.createSession(user.id, getClientInfo(req));
+  sendTokenResponse(user, 200, res, tokens);
 });
 
 /**
@@ -34,18 +47,11 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
     return next(new AppError('Refresh token is required', 400));
   }
 
-  try {
-    const decoded = verifyRefreshToken(refreshToken);
-    const user = await authService.getUserById(decoded.id);
-    const accessToken = generateAccessToken(user.id);
-
-    res.json({
-      success: true,
-      accessToken,
-    });
-  } catch (error) {
-    return next(new AppError('Invalid refresh token', 401));
-  }
+  // Old refresh token is invalidated; the client must store the new one
+  const tokens = await sessionService.rotateSession(refreshToken, getClientInfo(req));
+  const user = await authService.getUserById(tokens.userId);
+
+  sendTokenResponse(user, 200, res, tokens);
 });
 
 /**
@@ -54,6 +60,10 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.logout = asyncHandler(async (req, res, next) => {
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.sessionId, 'LOGOUT');
+  }
+
   res.cookie('token', 'none', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
@@ -99,10 +109,113 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.changePassword = asyncHandler(async (req, res, next) => {
-  await authService.changeUserPassword(req.user.id, req.body);
+  await authService.changeUserPassword(req.user.id, req.body, req.sessionId);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully. Other sessions have been signed out.',
+  });
+});
+
+/**
+ * @desc    Get active sessions (devices) of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.getUserSessions(req.user.id, req.sessionId);
+
+  res.json({
+    success: true,
+    data: sessions,
+  });
+});
+
+/**
+ * @desc    Revoke one session of current user
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  await sessionService.revokeOwnSession(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully',
+  });
+});
+
+/**
+ * @desc    Revoke all sessions except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const count = await sessionService.revokeUserSessions(req.user.id, {
+    exceptSessionId: req.sessionId,
+    reason: 'USER_REVOKED',
+  });
+
+  res.json({
+    success: true,
+    data: { revoked: count },
+    message: `${count} session(s) revoked`,
+  });
+});
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  await authService.requestPasswordReset(req.body.email);
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+/**
+ * @desc    Reset password with a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  await authService.resetPassword(req.body.token, req.body.newPassword);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please login with your new password.',
+  });
+});
+
+/**
+ * @desc    Verify email address
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const user = await authService.verifyEmail(req.body.token);
+
+  res.json({
+    success: true,
+    data: user,
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  await authService.resendVerificationEmail(req.user.id);
 
   res.json({
     success: true,
-    message: 'Password changed successfully',
+    message: 'Verification email sent',
   });
 });
@@ -1,8 +1,10 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
 const asyncHandler = require('../utils/asyncHandler.util');
-const { createSlug } = require('../utils/slugify.util');
-const { uploadMultiple } = require('../services/upload.service');
+const chapterService = require('../services/chapter.service');
+const viewService = require('../services/view.service');
+const chapterPageService = require('../services/chapterPage.service');
+const chapterArchiveService = require('../services/chapterArchive.service');
 
 /**
  * @desc    Get chapter by slug
@@ -10,47 +12,18 @@ const { uploadMultiple } = require('../services/upload.service');
  * @access  Public
  */
 exports.getChapterBySlug = asyncHandler(async (req, res, next) => {
-  const { slug } = req.params;
-
-  const chapter = await prisma.chapter.findFirst({
-    where: { slug, status: 'PUBLISHED' },
-    include: {
-      manga: {
-        select: {
-          id: true,
-          title: true,
-          slug: true,
-          thumbnail: true,
-        },
-      },
-    },
-  });
-
-  if (!chapter) {
-    return next(new AppError('Chapter not found', 404));
-  }
-
-  // Increment view count
-  await prisma.chapter.update({
-    where: { id: chapter.id },
-    data: { totalViews: { increment: 1 } },
-  });
-
-  await prisma.manga.update({
-    where: { id: chapter.mangaId },
-    data: { totalViews: { increment: 1 } },
+  const chapter = await chapterService.getChapterBySlug(req.params.slug, req.user?.id);
+
+  // Count the view (deduplicated per reader, by IP for guests: see TRUST_PROXY in app.js);
+  // a failure must not break reading
+  await viewService.recordView(chapter.id, chapter.mangaId, {
+    userId: req.user?.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  }).catch(error => {
+    console.error('❌ Failed to record chapter view:', error.message);
   });
 
-  // Track view if user is logged in
-  if (req.user) {
-    await prisma.chapterView.create({
-      data: {
-        chapterId: chapter.id,
-        userId: req.user.id,
-      },
-    });
-  }
-
   res.json({
     success: true,
     data: chapter,
@@ -91,84 +64,87 @@ exports.getChaptersByManga = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Create new chapter (with automatic image upload)
+ * @desc    Create new chapter. Uploaded images are processed in the background;
+ *          chapters from image URLs are created right away.
  * @route   POST /api/manga/:mangaId/chapters
  * @access  Private (UPLOADER, ADMIN)
  */
 exports.createChapter = asyncHandler(async (req, res, next) => {
   const { mangaId } = req.params;
-  const { chapterNumber, title } = req.body;
-
-  // Check if manga exists and user has permission
-  const manga = await prisma.manga.findUnique({
-    where: { id: mangaId },
-  });
-
-  if (!manga) {
-    return next(new AppError('Manga not found', 404));
-  }
-
-  if (manga.uploaderId !== req.user.id && req.user.role !== 'ADMIN') {
-    return next(new AppError('Not authorized to add chapters to this manga', 403));
-  }
 
-  // Check if chapter number already exists
-  const existingChapter = await prisma.chapter.findFirst({
-    where: {
+  if (req.files && req.files.length > 0) {
+    const job = await chapterArchiveService.queueChapterUpload(
       mangaId,
-      chapterNumber: parseFloat(chapterNumber),
-    },
-  });
-
-  if (existingChapter) {
-    return next(new AppError('Chapter number already exists', 400));
+      req.body,
+      req.files,
+      req.user.id,
+      req.user.role
+    );
+
+    return res.status(202).json({
+      success: true,
+      data: { jobId: job.id, status: job.status },
+      message: `Images accepted; poll /api/jobs/${job.id} for progress`,
+    });
   }
 
-  let images = [];
+  const chapter = await chapterService.createChapter(
+    mangaId,
+    req.body,
+    null,
+    req.user.id,
+    req.user.role
+  );
 
-  // Upload images if files provided
-  if (req.files && req.files.length > 0) {
-    const folder = `manga/${mangaId}/chapter-${chapterNumber}`;
-    images = await uploadMultiple(req.files, folder);
-  } else if (req.body.images) {
-    // Or use provided URLs
-    images = typeof req.body.images === 'string' 
-      ? JSON.parse(req.body.images) 
-      : req.body.images;
-  }
+  res.status(201).json({
+    success: true,
+    data: chapter,
+  });
+});
 
-  if (images.length === 0) {
-    return next(new AppError('No images provided', 400));
-  }
+/**
+ * @desc    Create chapter from a ZIP/CBZ archive (processed in the background)
+ * @route   POST /api/manga/:mangaId/chapters/archive
+ * @access  Private (UPLOADER, ADMIN)
+ */
+exports.createChapterFromArchive = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
 
-  const slug = createSlug(`${manga.slug}-ch-${chapterNumber}`);
+  const job = await chapterArchiveService.importChapterArchive(
+    mangaId,
+    req.body,
+    req.file,
+    req.user.id,
+    req.user.role
+  );
 
-  // Create chapter
-  const chapter = await prisma.chapter.create({
-    data: {
-      mangaId,
-      chapterNumber: parseFloat(chapterNumber),
-      title: title || `Chapter ${chapterNumber}`,
-      slug,
-      images,
-      totalImages: images.length,
-      status: 'PUBLISHED',
-      publishedAt: new Date(),
-    },
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, status: job.status },
+    message: `Archive accepted; poll /api/jobs/${job.id} for progress`,
   });
+});
 
-  // Update manga
-  await prisma.manga.update({
-    where: { id: mangaId },
-    data: {
-      totalChapters: { increment: 1 },
-      lastChapterAt: new Date(),
-    },
-  });
+/**
+ * @desc    Import many chapters from an archive with one folder per chapter
+ * @route   POST /api/manga/:mangaId/chapters/bulk-import
+ * @access  Private (Uploader/Admin)
+ */
+exports.bulkImportChapters = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
 
-  res.status(201).json({
+  const job = await chapterArchiveService.bulkImportChapters(
+    mangaId,
+    req.body,
+    req.file,
+    req.user.id,
+    req.user.role
+  );
+
+  res.status(202).json({
     success: true,
-    data: chapter,
+    data: { jobId: job.id, status: job.status },
+    message: `Archive accepted; poll /api/jobs/${job.id} for the import report`,
   });
 });
 
@@ -180,26 +156,7 @@ exports.createChapter = asyncHandler(async (req, res, next) => {
 exports.updateChapter = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  const chapter = await prisma.chapter.findUnique({
-    where: { id },
-    include: {
-      manga: true,
-    },
-  });
-
-  if (!chapter) {
-    return next(new AppError('Chapter not found', 404));
-  }
-
-  // Check ownership
-  if (chapter.manga.uploaderId !== req.user.id && req.user.role !== 'ADMIN') {
-    return next(new AppError('Not authorized to update this chapter', 403));
-  }
-
-  const updatedChapter = await prisma.chapter.update({
-    where: { id },
-    data: req.body,
-  });
+  const updatedChapter = await chapterService.updateChapter(id, req.body, req.user.id, req.user.role);
 
   res.json({
     success: true,
@@ -215,37 +172,28 @@ exports.updateChapter = asyncHandler(async (req, res, next) => {
 exports.deleteChapter = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  const chapter = await prisma.chapter.findUnique({
-    where: { id },
-    include: {
-      manga: true,
-    },
-  });
-
-  if (!chapter) {
-    return next(new AppError('Chapter not found', 404));
-  }
-
-  // Check ownership
-  if (chapter.manga.uploaderId !== req.user.id && req.user.role !== 'ADMIN') {
-    return next(new AppError('Not authorized to delete this chapter', 403));
-  }
+  await chapterService.deleteChapter(id, req.user.id, req.user.role);
 
-  await prisma.chapter.delete({
-    where: { id },
+  res.json({
+    success: true,
+    message: 'Chapter deleted successfully',
   });
+});
 
-  // Update manga chapter count
-  await prisma.manga.update({
-    where: { id: chapter.mangaId },
-    data: {
-      totalChapters: { decrement: 1 },
-    },
-  });
+/**
+ * @desc    Publish a draft or scheduled chapter now
+ * @route   POST /api/chapters/:id/publish
+ * @access  Private (Owner, ADMIN)
+ */
+exports.publishChapter = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const chapter = await chapterService.publishChapterNow(id, req.user.id, req.user.role);
 
   res.json({
     success: true,
-    message: 'Chapter deleted successfully',
+    data: chapter,
+    message: 'Chapter published successfully',
   });
 });
 
@@ -258,8 +206,9 @@ exports.trackProgress = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
   const { currentPage, totalPages, isCompleted } = req.body;
 
-  const chapter = await prisma.chapter.findUnique({
-    where: { id },
+  // Drafts and scheduled chapters are not readable yet
+  const chapter = await prisma.chapter.findFirst({
+    where: { id, status: 'PUBLISHED' },
   });
 
   if (!chapter) {
@@ -300,3 +249,85 @@ exports.trackProgress = asyncHandler(async (req, res, next) => {
     data: history,
   });
 });
+
+/**
+ * @desc    Insert new pages into a chapter
+ * @route   POST /api/chapters/:id/pages
+ * @access  Private (Owner, ADMIN)
+ */
+exports.insertPages = asyncHandler(async (req, res, next) => {
+  const chapter = await chapterPageService.insertPages(
+    req.params.id,
+    req.files,
+    req.body.position,
+    req.user.id,
+    req.user.role
+  );
+
+  res.status(201).json({
+    success: true,
+    data: chapter,
+    message: 'Pages added successfully',
+  });
+});
+
+/**
+ * @desc    Replace one page of a chapter
+ * @route   PUT /api/chapters/:id/pages/:page
+ * @access  Private (Owner, ADMIN)
+ */
+exports.replacePage = asyncHandler(async (req, res, next) => {
+  const chapter = await chapterPageService.replacePage(
+    req.params.id,
+    req.params.page,
+    req.file,
+    req.user.id,
+    req.user.role
+  );
+
+  res.json({
+    success: true,
+    data: chapter,
+    message: 'Page replaced successfully',
+  });
+});
+
+/**
+ * @desc    Delete pages of a chapter
+ * @route   DELETE /api/chapters/:id/pages
+ * @access  Private (Owner, ADMIN)
+ */
+exports.deletePages = asyncHandler(async (req, res, next) => {
+  const chapter = await chapterPageService.deletePages(
+    req.params.id,
+    req.body.pages,
+    req.user.id,
+    req.user.role
+  );
+
+  res.json({
+    success: true,
+    data: chapter,
+    message: 'Pages deleted successfully',
+  });
+});
+
+/**
+ * @desc    Reorder the pages of a chapter
+ * @route   PUT /api/chapters/:id/pages/order
+ * @access  Private (Owner, ADMIN)
+ */
+exports.reorderPages = asyncHandler(async (req, res, next) => {
+  const chapter = await chapterPageService.reorderPages(
+    req.params.id,
+    req.body.order,
+    req.user.id,
+    req.user.role
+  );
+
+  res.json({
+    success: true,
+    data: chapter,
+    message: 'Pages reordered successfully',
+  });
+});
@@ -0,0 +1,111 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const commentService = require('../services/comment.service');
+
+/**
+ * @desc    Get threaded comments of a manga
+ * @route   GET /api/manga/:mangaId/comments
+ * @access  Public
+ */
+exports.getComments = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+  const { page, limit, replyLimit, sortBy, order } = req.query;
+
+  const result = await commentService.getComments(mangaId, {
+    page,
+    limit,
+    replyLimit,
+    sortBy,
+    order,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Get replies of a comment
+ * @route   GET /api/manga/:mangaId/comments/:commentId/replies
+ * @access  Public
+ */
+exports.getReplies = asyncHandler(async (req, res, next) => {
+  const { mangaId, commentId } = req.params;
+  const { page, limit, replyLimit } = req.query;
+
+  const result = await commentService.getReplies(mangaId, commentId, {
+    page,
+    limit,
+    replyLimit,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Create comment or reply
+ * @route   POST /api/manga/:mangaId/comments
+ * @access  Private
+ */
+exports.createComment = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+
+  const comment = await commentService.createComment(req.user.id, mangaId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: comment,
+  });
+});
+
+/**
+ * @desc    Edit comment
+ * @route   PUT /api/manga/:mangaId/comments/:commentId
+ * @access  Private (Author)
+ */
+exports.updateComment = asyncHandler(async (req, res, next) => {
+  const { mangaId, commentId } = req.params;
+
+  const comment = await commentService.updateComment(req.user.id, mangaId, commentId, req.body);
+
+  res.json({
+    success: true,
+    data: comment,
+  });
+});
+
+/**
+ * @desc    Delete comment (soft delete)
+ * @route   DELETE /api/manga/:mangaId/comments/:commentId
+ * @access  Private (Author, ADMIN)
+ */
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const { mangaId, commentId } = req.params;
+
+  await commentService.deleteComment(req.user.id, req.user.role, mangaId, commentId);
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully',
+  });
+});
+
+/**
+ * @desc    Like/dislike comment (toggle)
+ * @route   POST /api/manga/:mangaId/comments/:commentId/reaction
+ * @access  Private
+ */
+exports.reactToComment = asyncHandler(async (req, res, next) => {
+  const { mangaId, commentId } = req.params;
+  const { type } = req.body;
+
+  const result = await commentService.reactToComment(req.user.id, mangaId, commentId, type);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
@@ -37,14 +37,8 @@ exports.getGenreBySlug = asyncHandler(async (req, res, next) => {
  */
 exports.getMangaByGenre = asyncHandler(async (req, res, next) => {
   const { slug } = req.params;
-  const { page, limit, sortBy, order } = req.query;
 
-  const result = await genreService.getMangaByGenre(slug, {
-    page,
-    limit,
-    sortBy,
-    order,
-  });
+  const result = await genreService.getMangaByGenre(slug, req.query);
 
   res.json({
     success: true,
@@ -0,0 +1,16 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const jobService = require('../services/job.service');
+
+/**
+ * @desc    Get status and progress of a background job
+ * @route   GET /api/jobs/:id
+ * @access  Private (job owner, ADMIN)
+ */
+exports.getJob = asyncHandler(async (req, res, next) => {
+  const job = await jobService.getJob(req.params.id, req.user.id, req.user.role);
+
+  res.json({
+    success: true,
+    data: job,
+  });
+});
@@ -1,8 +1,10 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
 const asyncHandler = require('../utils/asyncHandler.util');
-const { createSlug } = require('../utils/slugify.util');
-const { uploadSingleImage } = require('../services/upload.service');
+const mangaService = require('../services/manga.service');
+const trendingService = require('../services/trending.service');
+const recommendationService = require('../services/recommendation.service');
+const similarService = require('../services/similar.service');
 
 /**
  * @desc    Get all manga with filters, search, and pagination
@@ -10,118 +12,11 @@ const { uploadSingleImage } = require('../services/upload.service');
  * @access  Public
  */
 exports.getAllManga = asyncHandler(async (req, res, next) => {
-  const {
-    page = 1,
-    limit = 20,
-    search,
-    status,
-    genre,
-    author,
-    sortBy = 'createdAt',
-    order = 'desc',
-  } = req.query;
-
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const take = parseInt(limit);
-
-  // Build where clause
-  const where = {
-    approvalStatus: 'APPROVED',
-  };
-
-  // Search by title
-  if (search) {
-    where.OR = [
-      { title: { contains: search, mode: 'insensitive' } },
-      { alternativeTitles: { has: search } },
-    ];
-  }
-
-  // Filter by status
-  if (status) {
-    where.status = status;
-  }
-
-  // Filter by genre
-  if (genre) {
-    where.genres = {
-      some: {
-        genre: {
-          slug: genre,
-        },
-      },
-    };
-  }
-
-  // Filter by author
-  if (author) {
-    where.authors = {
-      some: {
-        author: {
-          slug: author,
-        },
-      },
-    };
-  }
-
-  // Get total count
-  const total = await prisma.manga.count({ where });
-
-  // Get manga
-  const manga = await prisma.manga.findMany({
-    where,
-    skip,
-    take,
-    orderBy: { [sortBy]: order },
-    include: {
-      authors: {
-        include: {
-          author: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-      genres: {
-        include: {
-          genre: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-      _count: {
-        select: {
-          chapters: true,
-          bookmarks: true,
-          comments: true,
-        },
-      },
-    },
-  });
-
-  // Format response
-  const formattedManga = manga.map(m => ({
-    ...m,
-    authors: m.authors.map(a => a.author),
-    genres: m.genres.map(g => g.genre),
-  }));
+  const result = await mangaService.getMangaList(req.query);
 
   res.json({
     success: true,
-    data: formattedManga,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit)),
-    },
+    ...result,
   });
 });
 
@@ -187,57 +82,50 @@ exports.getMangaBySlug = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get trending/popular manga
+ * @desc    Get manga similar to a manga ("More like this")
+ * @route   GET /api/manga/:slug/similar
+ * @access  Public
+ */
+exports.getSimilarManga = asyncHandler(async (req, res, next) => {
+  const data = await similarService.getSimilarManga(req.params.slug, {
+    limit: req.query.limit,
+  });
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * @desc    Get trending manga over a time window, optionally per genre
  * @route   GET /api/manga/trending
  * @access  Public
  */
 exports.getTrendingManga = asyncHandler(async (req, res, next) => {
-  const { limit = 10 } = req.query;
+  const { window, genre, limit } = req.query;
 
-  const manga = await prisma.manga.findMany({
-    where: {
-      approvalStatus: 'APPROVED',
-    },
-    take: parseInt(limit),
-    orderBy: [
-      { totalViews: 'desc' },
-      { averageRating: 'desc' },
-    ],
-    include: {
-      authors: {
-        include: {
-          author: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-      genres: {
-        include: {
-          genre: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-    },
+  const result = await trendingService.getTrendingManga({ window, genre, limit });
+
+  res.json({
+    success: true,
+    ...result,
   });
+});
 
-  const formattedManga = manga.map(m => ({
-    ...m,
-    authors: m.authors.map(a => a.author),
-    genres: m.genres.map(g => g.genre),
-  }));
+/**
+ * @desc    Get personalized recommendations for the current user
+ * @route   GET /api/manga/recommended
+ * @access  Private
+ */
+exports.getRecommendedManga = asyncHandler(async (req, res, next) => {
+  const result = await recommendationService.getRecommendedManga(req.user.id, {
+    limit: req.query.limit,
+  });
 
   res.json({
     success: true,
-    data: formattedManga,
+    ...result,
   });
 });
 
@@ -249,59 +137,11 @@ exports.getTrendingManga = asyncHandler(async (req, res, next) => {
 exports.getRecentManga = asyncHandler(async (req, res, next) => {
   const { limit = 20 } = req.query;
 
-  const manga = await prisma.manga.findMany({
-    where: {
-      approvalStatus: 'APPROVED',
-      lastChapterAt: { not: null },
-    },
-    take: parseInt(limit),
-    orderBy: { lastChapterAt: 'desc' },
-    include: {
-      authors: {
-        include: {
-          author: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-      genres: {
-        include: {
-          genre: {
-            select: {
-              id: true,
-              name: true,
-              slug: true,
-            },
-          },
-        },
-      },
-      chapters: {
-        take: 1,
-        orderBy: { publishedAt: 'desc' },
-        select: {
-          chapterNumber: true,
-          title: true,
-          publishedAt: true,
-        },
-      },
-    },
-  });
-
-  const formattedManga = manga.map(m => ({
-    ...m,
-    authors: m.authors.map(a => a.author),
-    genres: m.genres.map(g => g.genre),
-    latestChapter: m.chapters[0] || null,
-    chapters: undefined,
-  }));
+  const manga = await mangaService.getRecentManga(limit);
 
   res.json({
     success: true,
-    data: formattedManga,
+    data: manga,
   });
 });
 
@@ -311,120 +151,19 @@ exports.getRecentManga = asyncHandler(async (req, res, next) => {
  * @access  Private (UPLOADER, ADMIN)
  */
 exports.createManga = asyncHandler(async (req, res, next) => {
-  const {
-    title,
-    alternativeTitles,
-    description,
-    status,
-    releaseYear,
-    authorNames,
-    genreNames,
-  } = req.body;
-
-  let thumbnail = req.body.thumbnail;
-  let coverImage = req.body.coverImage;
-
-  // Upload thumbnail if file provided
-  if (req.files?.thumbnail) {
-    const result = await uploadSingleImage(req.files.thumbnail[0], 'manga/covers');
-    thumbnail = result.url;
-  }
-
-  // Upload cover if file provided
-  if (req.files?.coverImage) {
-    const result = await uploadSingleImage(req.files.coverImage[0], 'manga/covers');
-    coverImage = result.url;
-  }
-
-  const slug = createSlug(title);
-
-  // Parse arrays if they're strings (support both JSON array and comma-separated)
-  const parseToArray = (value) => {
-    if (!value) return [];
-    if (Array.isArray(value)) return value;
-    if (typeof value === 'string') {
-      // Try JSON parse first
-      if (value.trim().startsWith('[')) {
-        try {
-          return JSON.parse(value);
-        } catch (e) {
-          return [];
-        }
-      }
-      // Otherwise split by comma
-      return value.split(',').map(v => v.trim()).filter(v => v);
-    }
-    return [];
-  };
-
-  const authorsArray = parseToArray(authorNames);
-  const genresArray = parseToArray(genreNames);
-  const altTitlesArray = parseToArray(alternativeTitles);
-
-  // Create or connect authors
-  const authorOperations = authorsArray.map(name => ({
-    author: {
-      connectOrCreate: {
-        where: { name },
-        create: {
-          name,
-          slug: createSlug(name),
-        },
-      },
-    },
-  }));
-
-  // Create or connect genres
-  const genreOperations = genresArray.map(name => ({
-    genre: {
-      connectOrCreate: {
-        where: { name },
-        create: {
-          name,
-          slug: createSlug(name),
-        },
-      },
-    },
-  }));
-
-  // Create manga
-  const manga = await prisma.manga.create({
-    data: {
-      title,
-      slug,
-      alternativeTitles: altTitlesArray,
-      description,
-      thumbnail,
-      coverImage,
-      status: status || 'ONGOING',
-      releaseYear: releaseYear ? parseInt(releaseYear) : null,
-      approvalStatus: req.user.role === 'ADMIN' ? 'APPROVED' : 'PENDING',
-      uploaderId: req.user.id,
-      authors: {
-        create: authorOperations,
-      },
-      genres: {
-        create: genreOperations,
-      },
-    },
-    include: {
-      authors: {
-        include: {
-          author: true,
-        },
-      },
-      genres: {
-        include: {
-          genre: true,
-        },
-      },
-    },
-  });
+  const { manga, imageJob, message } = await mangaService.createManga(
+    req.body,
+    req.files,
+    req.user.id,
+    req.user.role
+  );
 
   res.status(201).json({
     success: true,
     data: manga,
-    message: req.user.role === 'ADMIN' ? 'Manga created successfully' : 'Manga submitted for approval',
+    // Thumbnail/cover files are uploaded in the background; poll /api/jobs/:id
+    ...(imageJob && { imageJobId: imageJob.id }),
+    message,
   });
 });
 
@@ -436,23 +175,7 @@ exports.createManga = asyncHandler(async (req, res, next) => {
 exports.updateManga = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  const manga = await prisma.manga.findUnique({
-    where: { id },
-  });
-
-  if (!manga) {
-    return next(new AppError('Manga not found', 404));
-  }
-
-  // Check ownership
-  if (manga.uploaderId !== req.user.id && req.user.role !== 'ADMIN') {
-    return next(new AppError('Not authorized to update this manga', 403));
-  }
-
-  const updatedManga = await prisma.manga.update({
-    where: { id },
-    data: req.body,
-  });
+  const updatedManga = await mangaService.updateManga(id, req.body, req.user.id, req.user.role);
 
   res.json({
     success: true,
@@ -575,4 +298,81 @@ exports.getRandomManga = asyncHandler(async (req, res, next) => {
     success: true,
     data: formattedManga,
   });
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Get manga submitted by current uploader with approval status
+ * @route   GET /api/manga/my-submissions
+ * @access  Private (UPLOADER, ADMIN)
+ */
+exports.getMySubmissions = asyncHandler(async (req, res, next) => {
+  const { page, limit, approvalStatus } = req.query;
+
+  const result = await mangaService.getUploaderSubmissions(req.user.id, {
+    page,
+    limit,
+    approvalStatus,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Get manga approval queue
+ * @route   GET /api/admin/manga
+ * @access  Private (ADMIN)
+ */
+exports.getApprovalQueue = asyncHandler(async (req, res, next) => {
+  const { page, limit, approvalStatus, search, order } = req.query;
+
+  const result = await mangaService.getApprovalQueue({
+    page,
+    limit,
+    approvalStatus,
+    search,
+    order,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Approve manga submission
+ * @route   PUT /api/admin/manga/:id/approve
+ * @access  Private (ADMIN)
+ */
+exports.approveManga = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const manga = await mangaService.approveManga(id, req.user.id);
+
+  res.json({
+    success: true,
+    data: manga,
+    message: 'Manga approved',
+  });
+});
+
+/**
+ * @desc    Reject manga submission
+ * @route   PUT /api/admin/manga/:id/reject
+ * @access  Private (ADMIN)
+ */
+exports.rejectManga = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const manga = await mangaService.rejectManga(id, req.user.id, reason);
+
+  res.json({
+    success: true,
+    data: manga,
+    message: 'Manga rejected',
+  });
+});
@@ -0,0 +1,80 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const notificationService = require('../services/notification.service');
+
+/**
+ * @desc    Get user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const filters = req.query;
+
+  const result = await notificationService.getUserNotifications(userId, filters);
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Get unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = asyncHandler(async (req, res, next) => {
+  const result = await notificationService.getUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Mark notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const notification = await notificationService.markAsRead(req.user.id, id);
+
+  res.json({
+    success: true,
+    data: notification,
+  });
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = asyncHandler(async (req, res, next) => {
+  const result = await notificationService.markAllAsRead(req.user.id);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'All notifications marked as read',
+  });
+});
+
+/**
+ * @desc    Delete notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+exports.deleteNotification = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  await notificationService.deleteNotification(req.user.id, id);
+
+  res.json({
+    success: true,
+    message: 'Notification deleted',
+  });
+});
@@ -0,0 +1,69 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const ratingService = require('../services/rating.service');
+
+/**
+ * @desc    Rate manga (create or update own rating)
+ * @route   PUT /api/manga/:mangaId/ratings
+ * @access  Private
+ */
+exports.rateManga = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+  const { rating } = req.body;
+
+  const result = await ratingService.rateManga(req.user.id, mangaId, rating);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Rating saved',
+  });
+});
+
+/**
+ * @desc    Remove own rating
+ * @route   DELETE /api/manga/:mangaId/ratings
+ * @access  Private
+ */
+exports.deleteRating = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+
+  const result = await ratingService.deleteRating(req.user.id, mangaId);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Rating removed',
+  });
+});
+
+/**
+ * @desc    Get own rating for a manga
+ * @route   GET /api/manga/:mangaId/ratings/me
+ * @access  Private
+ */
+exports.getMyRating = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+
+  const result = await ratingService.getUserRating(req.user.id, mangaId);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Get rating summary and histogram
+ * @route   GET /api/manga/:mangaId/ratings
+ * @access  Public
+ */
+exports.getRatingSummary = asyncHandler(async (req, res, next) => {
+  const { mangaId } = req.params;
+
+  const result = await ratingService.getRatingSummary(mangaId);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
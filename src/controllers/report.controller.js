@@ -0,0 +1,91 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const reportService = require('../services/report.service');
+
+/**
+ * @desc    Report a comment
+ * @route   POST /api/manga/:mangaId/comments/:commentId/report
+ * @access  Private
+ */
+exports.reportComment = asyncHandler(async (req, res, next) => {
+  const { mangaId, commentId } = req.params;
+
+  const report = await reportService.reportComment(req.user.id, mangaId, commentId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: report,
+    message: 'Report submitted',
+  });
+});
+
+/**
+ * @desc    Get moderation queue
+ * @route   GET /api/admin/reports
+ * @access  Private (ADMIN)
+ */
+exports.getReports = asyncHandler(async (req, res, next) => {
+  const { page, limit, status, type, order } = req.query;
+
+  const result = await reportService.getReports({
+    page,
+    limit,
+    status,
+    type,
+    order,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Get report details
+ * @route   GET /api/admin/reports/:id
+ * @access  Private (ADMIN)
+ */
+exports.getReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const report = await reportService.getReportById(id);
+
+  res.json({
+    success: true,
+    data: report,
+  });
+});
+
+/**
+ * @desc    Resolve report (hide comment / ban author)
+ * @route   PUT /api/admin/reports/:id/resolve
+ * @access  Private (ADMIN)
+ */
+exports.resolveReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const report = await reportService.resolveReport(req.user.id, id, req.body);
+
+  res.json({
+    success: true,
+    data: report,
+    message: 'Report resolved',
+  });
+});
+
+/**
+ * @desc    Reject report
+ * @route   PUT /api/admin/reports/:id/reject
+ * @access  Private (ADMIN)
+ */
+exports.rejectReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const report = await reportService.rejectReport(req.user.id, id, req.body);
+
+  res.json({
+    success: true,
+    data: report,
+    message: 'Report rejected',
+  });
+});
@@ -0,0 +1,32 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const searchService = require('../services/search.service');
+
+/**
+ * @desc    Search manga (ranked, accent-insensitive, typo-tolerant)
+ * @route   GET /api/search
+ * @access  Public
+ */
+exports.searchManga = asyncHandler(async (req, res, next) => {
+  const { q, page, limit } = req.query;
+
+  const result = await searchService.searchManga({ q, page, limit });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Autocomplete suggestions for the search bar
+ * @route   GET /api/search/suggest
+ * @access  Public
+ */
+exports.getSuggestions = asyncHandler(async (req, res, next) => {
+  const result = await searchService.getSuggestions(req.query.q);
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
@@ -0,0 +1,22 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const statsService = require('../services/stats.service');
+
+/**
+ * @desc    Get platform statistics time series
+ * @route   GET /api/admin/stats
+ * @access  Private (ADMIN)
+ */
+exports.getStats = asyncHandler(async (req, res, next) => {
+  const { from, to, granularity } = req.query;
+
+  const result = await statsService.getStatsSeries({
+    from,
+    to,
+    granularity,
+  });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
@@ -0,0 +1,124 @@
+const asyncHandler = require('../utils/asyncHandler.util');
+const userService = require('../services/user.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * @desc    Get users with search and filters
+ * @route   GET /api/admin/users
+ * @access  Private (ADMIN)
+ */
+exports.getUsers = asyncHandler(async (req, res, next) => {
+  const { page, limit, search, role, status, sortBy, order } = req.query;
+
+  const result = await userService.getUsers({
+    page,
+    limit,
+    search,
+    role,
+    status,
+    sortBy,
+    order,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * @desc    Get user details
+ * @route   GET /api/admin/users/:id
+ * @access  Private (ADMIN)
+ */
+exports.getUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.getUserDetail(req.params.id);
+
+  res.json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Change user role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (ADMIN)
+ */
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const user = await userService.updateUserRole(req.user.id, req.params.id, req.body.role);
+
+  res.json({
+    success: true,
+    data: user,
+    message: `User role changed to ${user.role}`,
+  });
+});
+
+/**
+ * @desc    Suspend user for a limited time
+ * @route   PUT /api/admin/users/:id/suspend
+ * @access  Private (ADMIN)
+ */
+exports.suspendUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.suspendUser(req.user.id, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: user,
+    message: `User suspended until ${user.suspendedUntil.toISOString()}`,
+  });
+});
+
+/**
+ * @desc    Ban user
+ * @route   PUT /api/admin/users/:id/ban
+ * @access  Private (ADMIN)
+ */
+exports.banUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.banUser(req.user.id, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: user,
+    message: 'User banned',
+  });
+});
+
+/**
+ * @desc    Lift a ban or suspension
+ * @route   PUT /api/admin/users/:id/activate
+ * @access  Private (ADMIN)
+ */
+exports.activateUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.activateUser(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    data: user,
+    message: 'User reactivated',
+  });
+});
+
+/**
+ * @desc    Get audit trail of admin actions
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (ADMIN)
+ */
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { page, limit, actorId, action, targetType, targetId } = req.query;
+
+  const result = await auditService.getAuditLogs({
+    page,
+    limit,
+    actorId,
+    action,
+    targetType,
+    targetId,
+  });
+
+  res.json({
+    success: true,
+    ...result,
+  });
+});
@@ -0,0 +1,20 @@
+const { publishDueChapters } = require('../services/chapter.service');
+
+/**
+ * Publish scheduled chapters once their publishedAt has passed.
+ * Notifications and manga counters are handled by publishChapter.
+ */
+const run = async () => {
+  const published = await publishDueChapters();
+
+  if (published > 0) {
+    console.log(`✅ Published ${published} scheduled chapter(s)`);
+  }
+};
+
+module.exports = {
+  name: 'chapter-publish',
+  intervalMs: parseInt(process.env.CHAPTER_PUBLISH_INTERVAL_MS) || 60 * 1000, // 1 minute
+  runOnStart: true,
+  run,
+};
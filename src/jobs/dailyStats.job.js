@@ -0,0 +1,20 @@
+const { aggregateDailyStats } = require('../services/stats.service');
+const { startOfUtcDay, addDays } = require('../utils/date.util');
+
+/**
+ * Refresh today's DailyStats row and finalize yesterday's.
+ * Yesterday is recomputed too so late writes around midnight are not lost.
+ */
+const run = async () => {
+  const today = startOfUtcDay();
+
+  await aggregateDailyStats(addDays(today, -1));
+  await aggregateDailyStats(today);
+};
+
+module.exports = {
+  name: 'daily-stats',
+  intervalMs: parseInt(process.env.DAILY_STATS_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  runOnStart: true,
+  run,
+};
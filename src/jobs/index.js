@@ -0,0 +1,85 @@
+const dailyStatsJob = require('./dailyStats.job');
+const chapterPublishJob = require('./chapterPublish.job');
+const suspensionSweepJob = require('./suspensionSweep.job');
+const trendingJob = require('./trending.job');
+const viewFlushJob = require('./viewFlush.job');
+const jobPruneJob = require('./jobPrune.job');
+
+// Scheduled in-process jobs: { name, intervalMs, runOnStart, run, onStop?, everyInstance? }
+// everyInstance jobs handle per-process state and run even when shared jobs are disabled.
+const jobs = [
+  dailyStatsJob,
+  chapterPublishJob,
+  suspensionSweepJob,
+  trendingJob,
+  viewFlushJob,
+  jobPruneJob,
+];
+
+const timers = new Map();
+const running = new Map();
+
+/**
+ * Run a job unless its previous run is still in progress
+ */
+const runJob = (job) => {
+  if (running.has(job.name)) {
+    return running.get(job.name);
+  }
+
+  const promise = Promise.resolve()
+    .then(() => job.run())
+    .catch(error => {
+      console.error(`❌ Job "${job.name}" failed:`, error.message);
+    })
+    .finally(() => {
+      running.delete(job.name);
+    });
+
+  running.set(job.name, promise);
+  return promise;
+};
+
+/**
+ * Start scheduled jobs
+ * @param {object} [options] - { shared: false } starts only the everyInstance jobs
+ */
+const startJobs = ({ shared = true } = {}) => {
+  const started = jobs.filter(job => shared || job.everyInstance);
+
+  started.forEach(job => {
+    if (timers.has(job.name)) return;
+
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.set(job.name, timer);
+
+    if (job.runOnStart) {
+      runJob(job);
+    }
+  });
+
+  console.log(`⏱️  Scheduled jobs started: ${started.map(job => job.name).join(', ')}`);
+};
+
+/**
+ * Stop all scheduled jobs and wait for running ones to finish
+ */
+const stopJobs = async () => {
+  const started = jobs.filter(job => timers.has(job.name));
+
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+
+  await Promise.all(running.values());
+
+  await Promise.all(started
+    .filter(job => job.onStop)
+    .map(job => Promise.resolve()
+      .then(() => job.onStop())
+      .catch(error => {
+        console.error(`❌ Job "${job.name}" failed to stop:`, error.message);
+      })));
+};
+
+module.exports = { startJobs, stopJobs, runJob };
@@ -0,0 +1,22 @@
+const { pruneFinishedJobs } = require('../services/job.service');
+
+// Finished queue jobs stay pollable (GET /api/jobs/:id) for this long
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Delete finished queue jobs once their result is no longer needed
+ */
+const run = async () => {
+  const pruned = await pruneFinishedJobs(JOB_RETENTION_MS);
+
+  if (pruned > 0) {
+    console.log(`✅ Pruned ${pruned} finished job(s)`);
+  }
+};
+
+module.exports = {
+  name: 'job-prune',
+  intervalMs: parseInt(process.env.JOB_PRUNE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  runOnStart: true,
+  run,
+};
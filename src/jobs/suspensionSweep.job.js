@@ -0,0 +1,21 @@
+const { liftExpiredSuspensions } = require('../services/user.service');
+
+/**
+ * Reactivate users whose suspension has ended.
+ * Login and protect also lift an expired suspension on the spot; the sweep
+ * keeps the admin user list accurate for users who do not come back.
+ */
+const run = async () => {
+  const lifted = await liftExpiredSuspensions();
+
+  if (lifted > 0) {
+    console.log(`✅ Lifted ${lifted} expired suspension(s)`);
+  }
+};
+
+module.exports = {
+  name: 'suspension-sweep',
+  intervalMs: parseInt(process.env.SUSPENSION_SWEEP_INTERVAL_MS) || 10 * 60 * 1000, // 10 minutes
+  runOnStart: true,
+  run,
+};
@@ -0,0 +1,16 @@
+const { refreshTrendingScores } = require('../services/trending.service');
+
+/**
+ * Rebuild the trending rankings so GET /api/manga/trending reads a small table
+ * instead of aggregating chapter views on every request.
+ */
+const run = async () => {
+  await refreshTrendingScores();
+};
+
+module.exports = {
+  name: 'trending',
+  intervalMs: parseInt(process.env.TRENDING_INTERVAL_MS) || 15 * 60 * 1000, // 15 minutes
+  runOnStart: true,
+  run,
+};
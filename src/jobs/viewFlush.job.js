@@ -0,0 +1,19 @@
+const { flushViewCounts } = require('../services/view.service');
+
+/**
+ * Write the view counts buffered by this process.
+ * Runs on every instance since each one buffers its own views,
+ * and once more on shutdown so pending views are not lost.
+ */
+const run = async () => {
+  await flushViewCounts();
+};
+
+module.exports = {
+  name: 'view-flush',
+  intervalMs: parseInt(process.env.VIEW_FLUSH_INTERVAL_MS) || 30 * 1000, // 30 seconds
+  runOnStart: false,
+  everyInstance: true,
+  run,
+  onStop: run,
+};
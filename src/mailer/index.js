@@ -0,0 +1,47 @@
+const createSmtpTransport = require('./transports/smtp.transport');
+const createFileTransport = require('./transports/file.transport');
+const createConsoleTransport = require('./transports/console.transport');
+
+// Selected with MAIL_TRANSPORT (default: smtp in production, console otherwise).
+// A transport is { name, send(message) }.
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+/**
+ * Get the configured transport (created on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const defaultName = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const name = (process.env.MAIL_TRANSPORT || defaultName).toLowerCase();
+
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = transports[name]();
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Skibidi Manga <no-reply@skibidi-manga.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, getTransport };
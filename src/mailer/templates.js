@@ -0,0 +1,64 @@
+const APP_NAME = 'Skibidi Manga';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Link to a page of the web client
+ */
+const clientUrl = (pathname, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Password reset email
+ */
+const passwordResetEmail = ({ username, token, expiresInMinutes }) => {
+  const url = clientUrl('/reset-password', token);
+
+  return {
+    subject: `${APP_NAME} - Reset your password`,
+    text:
+      `Hi ${username},\n\n` +
+      `We received a request to reset your password. Open the link below to choose a new one:\n\n` +
+      `${url}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you did not request a reset, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(username)},</p>` +
+      `<p>We received a request to reset your password. Click the link below to choose a new one:</p>` +
+      `<p><a href="${url}">Reset password</a></p>` +
+      `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you did not request a reset, you can ignore this email.</p>`,
+  };
+};
+
+/**
+ * Email address verification email
+ */
+const emailVerificationEmail = ({ username, token, expiresInHours }) => {
+  const url = clientUrl('/verify-email', token);
+
+  return {
+    subject: `${APP_NAME} - Verify your email`,
+    text:
+      `Hi ${username},\n\n` +
+      `Welcome to ${APP_NAME}! Please confirm your email address:\n\n` +
+      `${url}\n\n` +
+      `This link expires in ${expiresInHours} hours.`,
+    html:
+      `<p>Hi ${escapeHtml(username)},</p>` +
+      `<p>Welcome to ${APP_NAME}! Please confirm your email address:</p>` +
+      `<p><a href="${url}">Verify email</a></p>` +
+      `<p>This link expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+};
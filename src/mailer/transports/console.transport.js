@@ -0,0 +1,13 @@
+/**
+ * Console transport - prints messages instead of sending them (default outside production)
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    console.log(message.text);
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File transport - writes each message as JSON (local development and tests)
+ */
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+      return { file };
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport (production)
+ */
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
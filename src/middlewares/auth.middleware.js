@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { AppError } = require('./error.middleware');
-const prisma = require('../config/database');
+const { getActiveSession, touchSession } = require('../services/session.service');
+const { liftExpiredSuspensions } = require('../services/user.service');
 
 /**
  * Protect routes - verify JWT token
@@ -23,21 +24,32 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        role: true,
-        status: true,
-        avatar: true,
-      },
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid) {
+      return next(new AppError('Session expired. Please login again.', 401));
+    }
+
+    // Get session and user from database
+    const session = await getActiveSession(decoded.sid, {
+      id: true,
+      email: true,
+      username: true,
+      role: true,
+      status: true,
+      suspendedUntil: true,
+      avatar: true,
     });
 
-    if (!user) {
-      return next(new AppError('User not found', 404));
+    if (!session || session.userId !== decoded.id) {
+      return next(new AppError('Session has been revoked. Please login again.', 401));
+    }
+
+    const { suspendedUntil, ...user } = session.user;
+
+    if (user.status === 'SUSPENDED' && suspendedUntil && suspendedUntil <= new Date()) {
+      if (await liftExpiredSuspensions(user.id)) {
+        user.status = 'ACTIVE';
+      }
     }
 
     if (user.status === 'BANNED') {
@@ -48,8 +60,11 @@ const protect = async (req, res, next) => {
       return next(new AppError('Your account has been suspended', 403));
     }
 
-    // Attach user to request
+    touchSession(session);
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     next(error);
@@ -86,19 +101,17 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.id },
-        select: {
-          id: true,
-          email: true,
-          username: true,
-          role: true,
-          status: true,
-        },
+      const session = await getActiveSession(decoded.sid, {
+        id: true,
+        email: true,
+        username: true,
+        role: true,
+        status: true,
       });
 
-      if (user && user.status === 'ACTIVE') {
-        req.user = user;
+      if (session && session.userId === decoded.id && session.user.status === 'ACTIVE') {
+        req.user = session.user;
+        req.sessionId = session.id;
       }
     }
 
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 const { AppError } = require('./error.middleware');
@@ -38,9 +39,65 @@ const uploadMultiple = multer({
   fileFilter: fileFilter,
 });
 
+// Chapter archives (ZIP/CBZ) are too large for memory; they are written here and opened from disk
+const ARCHIVE_UPLOAD_DIR = process.env.ARCHIVE_UPLOAD_DIR || path.join(process.cwd(), 'tmp', 'uploads');
+const archiveStorage = multer.diskStorage({ destination: ARCHIVE_UPLOAD_DIR });
+
+const ARCHIVE_MAX_SIZE = parseInt(process.env.ARCHIVE_MAX_SIZE) || 200 * 1024 * 1024; // 200MB
+
+const archiveFilter = (req, file, cb) => {
+  const extname = /\.(zip|cbz)$/i.test(file.originalname);
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb(new AppError('Only ZIP or CBZ archives are allowed!', 400));
+  }
+};
+
+const uploadArchive = multer({
+  storage: archiveStorage,
+  limits: {
+    fileSize: ARCHIVE_MAX_SIZE,
+    files: 1,
+  },
+  fileFilter: archiveFilter,
+});
+
+// Bulk imports carry many chapters in one archive
+const ARCHIVE_BULK_MAX_SIZE = parseInt(process.env.ARCHIVE_BULK_MAX_SIZE) || 500 * 1024 * 1024; // 500MB
+
+const uploadBulkArchive = multer({
+  storage: archiveStorage,
+  limits: {
+    fileSize: ARCHIVE_BULK_MAX_SIZE,
+    files: 1,
+  },
+  fileFilter: archiveFilter,
+});
+
+/**
+ * Delete the uploaded temp file once the response is sent
+ * (a queued job moves the file into its own directory first)
+ */
+const removeFileAfterResponse = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (req.file?.path) {
+      const filePath = req.file.path;
+      res.on('close', () => {
+        fs.rm(filePath, { force: true }, () => {});
+      });
+    }
+
+    next(error);
+  });
+};
+
 module.exports = {
   uploadSingle: upload.single('image'),
   uploadMultiple: uploadMultiple.array('images', 50),
+  uploadArchive: removeFileAfterResponse(uploadArchive.single('archive')),
+  uploadBulkArchive: removeFileAfterResponse(uploadBulkArchive.single('archive')),
   uploadFields: upload.fields([
     { name: 'thumbnail', maxCount: 1 },
     { name: 'coverImage', maxCount: 1 },
@@ -0,0 +1,27 @@
+const { extractImagesFromArchive } = require('../../utils/archive.util');
+const { uploadPagesAndCreateChapter, formatChapterResult } = require('../../services/chapterArchive.service');
+
+/**
+ * Create a chapter from the pages of a ZIP/CBZ archive
+ */
+const run = async ({ mangaId, chapterData, userRole }, { job, loadFiles, progress }) => {
+  const [archive] = await loadFiles();
+  const pages = await extractImagesFromArchive(archive.path);
+  progress(0, pages.length);
+
+  const chapter = await uploadPagesAndCreateChapter(
+    mangaId,
+    chapterData,
+    pages,
+    job.userId,
+    userRole,
+    uploaded => progress(uploaded)
+  );
+
+  return formatChapterResult(chapter);
+};
+
+module.exports = {
+  type: 'CHAPTER_ARCHIVE_IMPORT',
+  run,
+};
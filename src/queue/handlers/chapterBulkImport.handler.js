@@ -0,0 +1,28 @@
+const { openChapterFolders } = require('../../utils/archive.util');
+const { importChapterFolders } = require('../../services/chapterArchive.service');
+
+/**
+ * Import every chapter folder of a bulk archive; the result is the per-chapter report
+ */
+const run = async ({ mangaId, userRole, policy, publishOptions }, { job, loadFiles, progress }) => {
+  const [archive] = await loadFiles();
+  const { chapters, close } = await openChapterFolders(archive.path);
+
+  try {
+    return await importChapterFolders(
+      mangaId,
+      chapters,
+      { policy, publishOptions },
+      job.userId,
+      userRole,
+      progress
+    );
+  } finally {
+    close();
+  }
+};
+
+module.exports = {
+  type: 'CHAPTER_BULK_IMPORT',
+  run,
+};
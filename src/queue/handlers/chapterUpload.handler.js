@@ -0,0 +1,25 @@
+const { uploadPagesAndCreateChapter, formatChapterResult } = require('../../services/chapterArchive.service');
+
+/**
+ * Upload the pages of a chapter sent to POST /api/manga/:mangaId/chapters and create it
+ */
+const run = async ({ mangaId, chapterData, userRole }, { job, loadFiles, progress }) => {
+  const pages = await loadFiles();
+  progress(0, pages.length);
+
+  const chapter = await uploadPagesAndCreateChapter(
+    mangaId,
+    chapterData,
+    pages,
+    job.userId,
+    userRole,
+    uploaded => progress(uploaded)
+  );
+
+  return formatChapterResult(chapter);
+};
+
+module.exports = {
+  type: 'CHAPTER_UPLOAD',
+  run,
+};
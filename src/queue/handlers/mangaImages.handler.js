@@ -0,0 +1,26 @@
+const { uploadMangaImages } = require('../../services/manga.service');
+
+/**
+ * Upload the thumbnail/cover sent with a new manga and set them on the manga
+ */
+const run = async ({ mangaId, fields }, { loadFiles, progress }) => {
+  const files = await loadFiles();
+  progress(0, files.length);
+
+  const manga = await uploadMangaImages(
+    mangaId,
+    fields.map((field, index) => ({ field, file: files[index] })),
+    uploaded => progress(uploaded)
+  );
+
+  return {
+    mangaId: manga.id,
+    thumbnail: manga.thumbnail,
+    coverImage: manga.coverImage,
+  };
+};
+
+module.exports = {
+  type: 'MANGA_IMAGES_UPLOAD',
+  run,
+};
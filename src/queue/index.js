@@ -0,0 +1,28 @@
+const chapterUploadHandler = require('./handlers/chapterUpload.handler');
+const chapterArchiveImportHandler = require('./handlers/chapterArchiveImport.handler');
+const chapterBulkImportHandler = require('./handlers/chapterBulkImport.handler');
+const mangaImagesHandler = require('./handlers/mangaImages.handler');
+
+// Queued job handlers: { type, run(payload, context) }
+// context is { job, loadFiles(), progress(processed, total) }; run's return value is the job result.
+// loadFiles() resolves to the staged files as Multer-like disk files ({ path, ... }).
+const handlers = [
+  chapterUploadHandler,
+  chapterArchiveImportHandler,
+  chapterBulkImportHandler,
+  mangaImagesHandler,
+];
+
+const handlersByType = new Map(handlers.map(handler => [handler.type, handler]));
+
+/**
+ * Get the handler of a job type
+ */
+const getJobHandler = (type) => handlersByType.get(type);
+
+/**
+ * Job types a worker can run
+ */
+const getJobTypes = () => [...handlersByType.keys()];
+
+module.exports = { getJobHandler, getJobTypes };
@@ -0,0 +1,159 @@
+const os = require('os');
+const {
+  claimJob,
+  loadJobFiles,
+  updateJobProgress,
+  touchJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+} = require('../services/job.service');
+const { getJobHandler, getJobTypes } = require('./index');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000; // 2 seconds
+// A running job whose lock is older than this is considered abandoned (worker crashed)
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+// Progress is written at most this often
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const active = new Set();
+
+let timer = null;
+let polling = false;
+let lastRecoveryAt = 0;
+
+/**
+ * Run a claimed job with its handler and record the outcome
+ */
+const runClaimedJob = async (job) => {
+  const handler = getJobHandler(job.type);
+  const state = { processed: job.processed, total: job.total };
+  let lastWriteAt = 0;
+  let writes = Promise.resolve();
+
+  const progress = (processed, total = state.total) => {
+    Object.assign(state, { processed, total });
+
+    const now = Date.now();
+    if (now - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS && processed < total) return;
+    lastWriteAt = now;
+
+    // Chained so an older write never lands after a newer one
+    writes = writes
+      .then(() => updateJobProgress(job, workerId, state.processed, state.total))
+      .catch(error => {
+        console.error(`❌ Failed to save progress of job ${job.id}:`, error.message);
+      });
+  };
+
+  // Keep the lock fresh for steps that report no progress (a single large upload)
+  const heartbeat = setInterval(() => {
+    touchJob(job, workerId).catch(error => {
+      console.error(`❌ Failed to refresh lock of job ${job.id}:`, error.message);
+    });
+  }, JOB_LOCK_TIMEOUT_MS / 3);
+  heartbeat.unref();
+
+  try {
+    const result = await handler.run(job.payload, {
+      job,
+      loadFiles: () => loadJobFiles(job),
+      progress,
+    });
+
+    await writes;
+    await completeJob(job, workerId, result);
+    console.log(`✅ Job ${job.type} ${job.id} completed`);
+  } catch (error) {
+    await writes;
+    const retry = await failJob(job, workerId, error);
+    console.error(
+      `❌ Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts})${retry ? ', will retry' : ''}:`,
+      error.message
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim due jobs until all worker slots are busy
+ */
+const poll = async () => {
+  if (polling || !timer) return;
+  polling = true;
+
+  try {
+    if (Date.now() - lastRecoveryAt >= JOB_LOCK_TIMEOUT_MS / 2) {
+      lastRecoveryAt = Date.now();
+
+      const recovered = await recoverStaleJobs(JOB_LOCK_TIMEOUT_MS);
+      if (recovered > 0) {
+        console.log(`♻️  Recovered ${recovered} abandoned job(s)`);
+      }
+    }
+
+    while (timer && active.size < JOB_CONCURRENCY) {
+      const job = await claimJob(workerId, getJobTypes());
+      if (!job) break;
+
+      const promise = runClaimedJob(job)
+        .catch(error => {
+          console.error(`❌ Job ${job.id} could not be finalized:`, error.message);
+        })
+        .finally(() => {
+          active.delete(promise);
+          // A slot is free; look for the next job without waiting for the timer
+          setImmediate(poll);
+        });
+
+      active.add(promise);
+    }
+  } catch (error) {
+    console.error('❌ Job worker poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling the job queue in this process
+ */
+const startWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(poll, JOB_POLL_INTERVAL_MS);
+  timer.unref();
+  poll();
+
+  console.log(`🧵 Job worker ${workerId} started (concurrency ${JOB_CONCURRENCY}): ${getJobTypes().join(', ')}`);
+};
+
+/**
+ * Stop claiming jobs and wait up to `timeoutMs` for running ones.
+ * Jobs still running after that are picked up again once their lock expires.
+ */
+const stopWorker = async (timeoutMs = 30 * 1000) => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+
+  let timeout;
+  await Promise.race([
+    Promise.all(active),
+    new Promise(resolve => {
+      timeout = setTimeout(resolve, timeoutMs);
+      timeout.unref();
+    }),
+  ]);
+  clearTimeout(timeout);
+
+  if (active.size > 0) {
+    console.log(`⚠️  Job worker stopped with ${active.size} job(s) still running`);
+  }
+};
+
+module.exports = { startWorker, stopWorker };
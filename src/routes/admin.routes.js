@@ -0,0 +1,791 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getReports,
+  getReport,
+  resolveReport,
+  rejectReport,
+} = require('../controllers/report.controller');
+const {
+  getApprovalQueue,
+  approveManga,
+  rejectManga,
+} = require('../controllers/manga.controller');
+const { getStats } = require('../controllers/stats.controller');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  activateUser,
+  getAuditLogs,
+} = require('../controllers/user.controller');
+const { protect, authorize } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+
+const router = express.Router();
+
+// Every admin route requires an ADMIN account
+router.use(protect, authorize('ADMIN'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administration and moderation endpoints (ADMIN only)
+ */
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: Get moderation queue of reported comments
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, REVIEWED, RESOLVED, REJECTED, ALL]
+ *           default: PENDING
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [SPAM, INAPPROPRIATE, COPYRIGHT, OTHER]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Oldest reports first by default
+ *     responses:
+ *       200:
+ *         description: Reports with pagination
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/reports',
+  [
+    query('status')
+      .optional()
+      .isIn(['PENDING', 'REVIEWED', 'RESOLVED', 'REJECTED', 'ALL'])
+      .withMessage('Invalid report status'),
+    query('type')
+      .optional()
+      .isIn(['SPAM', 'INAPPROPRIATE', 'COPYRIGHT', 'OTHER'])
+      .withMessage('Invalid report type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  ],
+  validate,
+  getReports
+);
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}:
+ *   get:
+ *     summary: Get report details
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with reporter, resolver and comment
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:id', getReport);
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/resolve:
+ *   put:
+ *     summary: Resolve report, optionally hiding the comment and banning its author
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 example: "Spam link removed"
+ *               hideComment:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Set comment status to HIDDEN and close other pending reports on it
+ *               banUser:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Set the comment author's status to BANNED
+ *     responses:
+ *       200:
+ *         description: Report resolved
+ *       400:
+ *         description: Report already closed
+ *       404:
+ *         description: Report not found
+ */
+router.put(
+  '/reports/:id/resolve',
+  [
+    body('resolution')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Resolution is required (max 1000 characters)'),
+    body('hideComment').optional().isBoolean().withMessage('hideComment must be a boolean').toBoolean(),
+    body('banUser').optional().isBoolean().withMessage('banUser must be a boolean').toBoolean(),
+  ],
+  validate,
+  resolveReport
+);
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/reject:
+ *   put:
+ *     summary: Reject report (no action against the comment)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 example: "Comment does not break the rules"
+ *     responses:
+ *       200:
+ *         description: Report rejected
+ *       400:
+ *         description: Report already closed
+ *       404:
+ *         description: Report not found
+ */
+router.put(
+  '/reports/:id/reject',
+  [
+    body('resolution')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Resolution must be at most 1000 characters'),
+  ],
+  validate,
+  rejectReport
+);
+
+/**
+ * @swagger
+ * /api/admin/manga:
+ *   get:
+ *     summary: Get manga approval queue
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: approvalStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *           default: PENDING
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by title
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Oldest submissions first by default
+ *     responses:
+ *       200:
+ *         description: Submissions with uploader info and pagination
+ */
+router.get(
+  '/manga',
+  [
+    query('approvalStatus')
+      .optional()
+      .isIn(['PENDING', 'APPROVED', 'REJECTED'])
+      .withMessage('Invalid approval status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  ],
+  validate,
+  getApprovalQueue
+);
+
+/**
+ * @swagger
+ * /api/admin/manga/{id}/approve:
+ *   put:
+ *     summary: Approve manga submission (notifies the uploader)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Manga approved
+ *       400:
+ *         description: Manga already approved
+ *       404:
+ *         description: Manga not found
+ */
+router.put('/manga/:id/approve', approveManga);
+
+/**
+ * @swagger
+ * /api/admin/manga/{id}/reject:
+ *   put:
+ *     summary: Reject manga submission with a reason (notifies the uploader)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Cover image is low quality"
+ *     responses:
+ *       200:
+ *         description: Manga rejected
+ *       400:
+ *         description: Missing reason or manga already rejected
+ *       404:
+ *         description: Manga not found
+ */
+router.put(
+  '/manga/:id/reject',
+  [
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Reason is required (max 1000 characters)'),
+  ],
+  validate,
+  rejectManga
+);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get platform statistics time series from DailyStats
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-01"
+ *         description: First day (UTC), defaults to 29 days before "to"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-31"
+ *         description: Last day (UTC, inclusive), defaults to today
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Statistics grouped by period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     granularity:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       description: Sums of per-period counters and latest running totals
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             example: "2025-01-06"
+ *                             description: First day of the period
+ *                           days:
+ *                             type: integer
+ *                           newUsers:
+ *                             type: integer
+ *                           newMangas:
+ *                             type: integer
+ *                           newChapters:
+ *                             type: integer
+ *                           totalViews:
+ *                             type: integer
+ *                             description: Chapter views in the period
+ *                           totalComments:
+ *                             type: integer
+ *                             description: Comments posted in the period
+ *                           totalUsers:
+ *                             type: integer
+ *                           totalMangas:
+ *                             type: integer
+ *                           totalChapters:
+ *                             type: integer
+ *       400:
+ *         description: Invalid date range
+ */
+router.get(
+  '/stats',
+  [
+    query('from').optional().isISO8601({ strict: true }).withMessage('from must be a YYYY-MM-DD date'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to must be a YYYY-MM-DD date'),
+    query('granularity')
+      .optional()
+      .isIn(['day', 'week', 'month'])
+      .withMessage('Granularity must be day, week or month'),
+  ],
+  validate,
+  getStats
+);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search and filter users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches username or email (case-insensitive)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [USER, UPLOADER, ADMIN]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, BANNED, SUSPENDED]
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, lastLoginAt, username]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of users
+ */
+router.get(
+  '/users',
+  [
+    query('search').optional().isString().trim(),
+    query('role')
+      .optional()
+      .isIn(['USER', 'UPLOADER', 'ADMIN'])
+      .withMessage('Invalid role'),
+    query('status')
+      .optional()
+      .isIn(['ACTIVE', 'BANNED', 'SUSPENDED'])
+      .withMessage('Invalid status'),
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'lastLoginAt', 'username'])
+      .withMessage('sortBy must be createdAt, lastLoginAt or username'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  getUsers
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get user details with activity counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change user role (e.g. promote to UPLOADER or ADMIN)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, UPLOADER, ADMIN]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Same role or own account
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/users/:id/role',
+  [
+    body('role')
+      .isIn(['USER', 'UPLOADER', 'ADMIN'])
+      .withMessage('Role must be USER, UPLOADER or ADMIN'),
+  ],
+  validate,
+  updateUserRole
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   put:
+ *     summary: Suspend user for a limited time
+ *     description: |
+ *       Provide either "until" or "durationHours". The suspension is lifted automatically
+ *       when it ends. All sessions of the user are revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *               durationHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 72
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Invalid end date, admin or own account
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/users/:id/suspend',
+  [
+    body('until').optional().isISO8601().withMessage('until must be an ISO 8601 date'),
+    body('durationHours')
+      .optional()
+      .isInt({ min: 1, max: 24 * 365 })
+      .withMessage('durationHours must be between 1 and 8760'),
+    body().custom(value => {
+      if (!value.until === !value.durationHours) {
+        throw new Error('Provide either until or durationHours');
+      }
+      return true;
+    }),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason is required (max 500 characters)'),
+  ],
+  validate,
+  suspendUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/ban:
+ *   put:
+ *     summary: Ban user
+ *     description: All sessions of the user are revoked
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: User banned
+ *       400:
+ *         description: Admin or own account
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/users/:id/ban',
+  [
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason is required (max 500 characters)'),
+  ],
+  validate,
+  banUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/activate:
+ *   put:
+ *     summary: Lift a ban or suspension
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       400:
+ *         description: User is already active
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/activate', activateUser);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get audit trail of admin actions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [USER_ROLE_CHANGED, USER_SUSPENDED, USER_SUSPENSION_EXPIRED, USER_BANNED, USER_ACTIVATED]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [USER]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit log entries, newest first
+ */
+router.get(
+  '/audit-logs',
+  [
+    query('actorId').optional().isString().trim().notEmpty().withMessage('actorId must be a user ID'),
+    query('action')
+      .optional()
+      .isIn(['USER_ROLE_CHANGED', 'USER_SUSPENDED', 'USER_SUSPENSION_EXPIRED', 'USER_BANNED', 'USER_ACTIVATED'])
+      .withMessage('Invalid action'),
+    query('targetType')
+      .optional()
+      .isIn(['USER'])
+      .withMessage('Invalid target type'),
+    query('targetId').optional().isString().trim().notEmpty().withMessage('targetId must be an ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  getAuditLogs
+);
+
+module.exports = router;
@@ -8,6 +8,13 @@ const {
   updateProfile,
   changePassword,
   refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } = require('../controllers/auth.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { uploadSingle } = require('../middlewares/upload.middleware');
@@ -52,6 +59,10 @@ const router = express.Router();
  *                 type: string
  *                 minLength: 6
  *                 example: password123
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Optional label for this session (defaults to one derived from the User-Agent)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -81,6 +92,11 @@ router.post(
     body('password')
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters'),
+    body('deviceName')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Device name cannot exceed 100 characters'),
   ],
   validate,
   register
@@ -109,6 +125,10 @@ router.post(
  *               password:
  *                 type: string
  *                 example: password123
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Optional label for this session (defaults to one derived from the User-Agent)
  *     responses:
  *       200:
  *         description: Login successful
@@ -133,6 +153,11 @@ router.post(
   [
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required'),
+    body('deviceName')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Device name cannot exceed 100 characters'),
   ],
   validate,
   login
@@ -143,6 +168,9 @@ router.post(
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Exchanges a refresh token for a new access/refresh token pair. Each refresh token
+ *       can be used only once; presenting an already rotated token revokes the whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -157,7 +185,9 @@ router.post(
  *                 type: string
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Token refreshed successfully (returns a new refresh token)
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
  */
 router.post('/refresh', refreshToken);
 
@@ -166,6 +196,7 @@ router.post('/refresh', refreshToken);
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session so its refresh token can no longer be used
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -223,7 +254,7 @@ router.get('/me', protect, getMe);
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Upload avatar image (auto upload to Cloudinary)
+ *                 description: Upload avatar image (uploaded to the configured storage)
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -243,7 +274,7 @@ router.get('/me', protect, getMe);
  *                       type: string
  *                     avatar:
  *                       type: string
- *                       description: Cloudinary URL
+ *                       description: Image URL
  *                     bio:
  *                       type: string
  */
@@ -274,7 +305,7 @@ router.put('/profile', protect, uploadSingle, updateProfile);
  *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully; all other sessions are revoked
  */
 router.put(
   '/password',
@@ -289,4 +320,199 @@ router.put(
   changePassword
 );
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (logged in devices)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       deviceName:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: True for the session making this request
+ *   delete:
+ *     summary: Log out all other sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always returns 200 so the response does not reveal whether the email is registered
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().withMessage('Please provide a valid email')],
+  validate,
+  forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with the token from the reset email
+ *     description: The token is single-use. All sessions of the user are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').notEmpty().withMessage('Token is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('New password must be at least 6 characters'),
+  ],
+  validate,
+  resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address with the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post(
+  '/verify-email',
+  [body('token').notEmpty().withMessage('Token is required')],
+  validate,
+  verifyEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       429:
+ *         description: Requested too soon after the previous email
+ */
+router.post('/resend-verification', protect, resendVerification);
+
 module.exports = router;
@@ -5,9 +5,17 @@ const {
   createChapter,
   updateChapter,
   deleteChapter,
+  publishChapter,
   trackProgress,
+  insertPages,
+  replacePage,
+  deletePages,
+  reorderPages,
 } = require('../controllers/chapter.controller');
 const { protect, authorize, optionalAuth } = require('../middlewares/auth.middleware');
+const { uploadSingle, uploadMultiple } = require('../middlewares/upload.middleware');
+const { body, param } = require('express-validator');
+const validate = require('../middlewares/validate.middleware');
 
 const router = express.Router();
 
@@ -23,6 +31,7 @@ const router = express.Router();
  * /api/chapters/{slug}:
  *   get:
  *     summary: Get chapter by slug (with optional auth for view tracking)
+ *     description: Includes the previous/next published chapters, the manga's published chapter count and, when signed in, the reader's saved progress in this chapter.
  *     tags: [Chapters]
  *     parameters:
  *       - in: path
@@ -34,6 +43,36 @@ const router = express.Router();
  *     responses:
  *       200:
  *         description: Chapter details with images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     manga:
+ *                       type: object
+ *                       properties:
+ *                         totalChapters:
+ *                           type: integer
+ *                     navigation:
+ *                       type: object
+ *                       properties:
+ *                         previous:
+ *                           type: object
+ *                           nullable: true
+ *                           description: "{ id, chapterNumber, title, slug }"
+ *                         next:
+ *                           type: object
+ *                           nullable: true
+ *                           description: "{ id, chapterNumber, title, slug }"
+ *                     progress:
+ *                       type: object
+ *                       nullable: true
+ *                       description: "{ currentPage, totalPages, progressPercent, isCompleted, lastReadAt }; null for guests or unread chapters"
  *       404:
  *         description: Chapter not found
  */
@@ -53,9 +92,28 @@ router.get('/:slug', optionalAuth, getChapterBySlug);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [PUBLISHED, HIDDEN]
+ *                 description: Hide or unhide a published chapter. Drafts are published with POST /api/chapters/{id}/publish.
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Reschedule a draft (future date) or remove its schedule (null)
  *     responses:
  *       200:
  *         description: Chapter updated successfully
+ *       400:
+ *         description: Invalid status change or schedule
  */
 router.put('/:id', protect, authorize('UPLOADER', 'ADMIN'), updateChapter);
 
@@ -79,6 +137,232 @@ router.put('/:id', protect, authorize('UPLOADER', 'ADMIN'), updateChapter);
  */
 router.delete('/:id', protect, authorize('UPLOADER', 'ADMIN'), deleteChapter);
 
+/**
+ * @swagger
+ * /api/chapters/{id}/publish:
+ *   post:
+ *     summary: Publish a draft or scheduled chapter now
+ *     description: Updates the manga's chapter count and last chapter date and notifies users who bookmarked the manga.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chapter published successfully
+ *       400:
+ *         description: Chapter is not a draft
+ *       403:
+ *         description: Not authorized (must be owner or ADMIN)
+ *       404:
+ *         description: Chapter not found
+ */
+router.post('/:id/publish', protect, authorize('UPLOADER', 'ADMIN'), publishChapter);
+
+/**
+ * @swagger
+ * /api/chapters/{id}/pages:
+ *   post:
+ *     summary: Insert new pages into a chapter
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Page number of the first inserted page (default is after the last page)
+ *     responses:
+ *       201:
+ *         description: Pages added; returns the chapter's images and totalImages
+ *       403:
+ *         description: Not authorized (must be owner or ADMIN)
+ *       404:
+ *         description: Chapter not found
+ */
+router.post(
+  '/:id/pages',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  uploadMultiple,
+  [
+    body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer'),
+  ],
+  validate,
+  insertPages
+);
+
+/**
+ * @swagger
+ * /api/chapters/{id}/pages:
+ *   delete:
+ *     summary: Delete pages from a chapter
+ *     description: Removed images are also deleted from storage. A chapter keeps at least one page.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pages
+ *             properties:
+ *               pages:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Page numbers (1-based)
+ *                 example: [3, 4]
+ *     responses:
+ *       200:
+ *         description: Pages deleted
+ *       400:
+ *         description: Page does not exist or no page would remain
+ */
+router.delete(
+  '/:id/pages',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  [
+    body('pages').isArray({ min: 1 }).withMessage('Pages must be a non-empty array'),
+    body('pages.*').isInt({ min: 1 }).withMessage('Page numbers must be positive integers'),
+  ],
+  validate,
+  deletePages
+);
+
+/**
+ * @swagger
+ * /api/chapters/{id}/pages/order:
+ *   put:
+ *     summary: Reorder the pages of a chapter
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Every current page number in its new position
+ *                 example: [2, 1, 3]
+ *     responses:
+ *       200:
+ *         description: Pages reordered
+ *       400:
+ *         description: Order is not a permutation of the current pages
+ */
+router.put(
+  '/:id/pages/order',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  [
+    body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array'),
+    body('order.*').isInt({ min: 1 }).withMessage('Page numbers must be positive integers'),
+  ],
+  validate,
+  reorderPages
+);
+
+/**
+ * @swagger
+ * /api/chapters/{id}/pages/{page}:
+ *   put:
+ *     summary: Replace one page with a new image
+ *     description: The previous image is deleted from storage.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: page
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (1-based)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Page replaced
+ *       400:
+ *         description: Page does not exist or no image provided
+ */
+router.put(
+  '/:id/pages/:page',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  uploadSingle,
+  [
+    param('page').isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  ],
+  validate,
+  replacePage
+);
+
 /**
  * @swagger
  * /api/chapters/{id}/progress:
@@ -0,0 +1,461 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  reactToComment,
+} = require('../controllers/comment.controller');
+const { reportComment } = require('../controllers/report.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+
+// Mounted under /api/manga/:mangaId/comments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Comments
+ *   description: Threaded manga comments with like/dislike
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         mangaId:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *         content:
+ *           type: string
+ *           nullable: true
+ *           description: null when the comment was deleted or hidden
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, HIDDEN, DELETED, REPORTED]
+ *         totalLikes:
+ *           type: integer
+ *         totalDislikes:
+ *           type: integer
+ *         totalReplies:
+ *           type: integer
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             username:
+ *               type: string
+ *             avatar:
+ *               type: string
+ *         replies:
+ *           type: array
+ *           description: First page of direct replies
+ *           items:
+ *             type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments:
+ *   get:
+ *     summary: Get top-level comments with their first replies
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manga ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: replyLimit
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *         description: Number of replies embedded under each comment
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, totalLikes]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Comments with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Manga not found
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('replyLimit').optional().isInt({ min: 0, max: 20 }).withMessage('Reply limit must be between 0 and 20'),
+    query('sortBy').optional().isIn(['createdAt', 'totalLikes']).withMessage('Invalid sort field'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  ],
+  validate,
+  getComments
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments:
+ *   post:
+ *     summary: Create comment or reply
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Great chapter!"
+ *               parentId:
+ *                 type: string
+ *                 description: ID of the comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Manga or parent comment not found
+ */
+router.post(
+  '/',
+  protect,
+  [
+    body('content')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Content must be between 1 and 2000 characters'),
+    body('parentId').optional({ nullable: true }).isString().withMessage('parentId must be a string'),
+  ],
+  validate,
+  createComment
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments/{commentId}/replies:
+ *   get:
+ *     summary: Get replies of a comment (next level of the thread)
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: replyLimit
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *     responses:
+ *       200:
+ *         description: Replies with pagination
+ *       404:
+ *         description: Comment not found
+ */
+router.get(
+  '/:commentId/replies',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('replyLimit').optional().isInt({ min: 0, max: 20 }).withMessage('Reply limit must be between 0 and 20'),
+  ],
+  validate,
+  getReplies
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit own comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Comment not found
+ */
+router.put(
+  '/:commentId',
+  protect,
+  [
+    body('content')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Content must be between 1 and 2000 characters'),
+  ],
+  validate,
+  updateComment
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete comment (marked as DELETED, replies are kept)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not the author or ADMIN
+ *       404:
+ *         description: Comment not found
+ */
+router.delete('/:commentId', protect, deleteComment);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments/{commentId}/reaction:
+ *   post:
+ *     summary: Like or dislike a comment (same type again removes it)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [LIKE, DISLIKE]
+ *     responses:
+ *       200:
+ *         description: Reaction toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [added, removed, switched]
+ *                     reaction:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [LIKE, DISLIKE]
+ *                     totalLikes:
+ *                       type: integer
+ *                     totalDislikes:
+ *                       type: integer
+ */
+router.post(
+  '/:commentId/reaction',
+  protect,
+  [
+    body('type').isIn(['LIKE', 'DISLIKE']).withMessage('Type must be LIKE or DISLIKE'),
+  ],
+  validate,
+  reactToComment
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/comments/{commentId}/report:
+ *   post:
+ *     summary: Report a comment to moderators
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [SPAM, INAPPROPRIATE, COPYRIGHT, OTHER]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Contains spoilers and spam links"
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Own comment or already reported
+ *       404:
+ *         description: Comment not found
+ */
+router.post(
+  '/:commentId/report',
+  protect,
+  [
+    body('type')
+      .isIn(['SPAM', 'INAPPROPRIATE', 'COPYRIGHT', 'OTHER'])
+      .withMessage('Type must be one of SPAM, INAPPROPRIATE, COPYRIGHT, OTHER'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Reason must be between 1 and 1000 characters'),
+  ],
+  validate,
+  reportComment
+);
+
+module.exports = router;
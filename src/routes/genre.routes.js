@@ -4,6 +4,8 @@ const {
   getGenreBySlug,
   getMangaByGenre,
 } = require('../controllers/genre.controller');
+const validate = require('../middlewares/validate.middleware');
+const { mangaListFilters } = require('../validators/manga.validator');
 
 const router = express.Router();
 
@@ -100,6 +102,11 @@ router.get('/:slug', getGenreBySlug);
  *           type: integer
  *           default: 20
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor for infinite scrolling. Send an empty value for the first page, then the returned pagination.nextCursor. In cursor mode page is ignored and pagination is { limit, nextCursor, hasMore }.
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -110,6 +117,43 @@ router.get('/:slug', getGenreBySlug);
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses
+ *       - in: query
+ *         name: genres
+ *         schema:
+ *           type: string
+ *         description: Comma-separated genre slugs the manga must also have
+ *       - in: query
+ *         name: genreMode
+ *         schema:
+ *           type: string
+ *           enum: [and, or]
+ *           default: and
+ *       - in: query
+ *         name: excludeGenres
+ *         schema:
+ *           type: string
+ *         description: Comma-separated genre slugs to exclude
+ *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minChapters
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: List of manga in genre with pagination
@@ -128,10 +172,12 @@ router.get('/:slug', getGenreBySlug);
  *                     type: object
  *                 pagination:
  *                   type: object
+ *       400:
+ *         description: Invalid filter parameters
  *       404:
  *         description: Genre not found
  */
-router.get('/:slug/manga', getMangaByGenre);
+router.get('/:slug/manga', mangaListFilters, validate, getMangaByGenre);
 
 module.exports = router;
 
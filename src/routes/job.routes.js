@@ -0,0 +1,83 @@
+const express = require('express');
+const { getJob } = require('../controllers/job.controller');
+const { protect } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background job status (uploads and imports)
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get the status and progress of a background job
+ *     description: |
+ *       Jobs are queued and run by a worker. Failed attempts are retried with
+ *       exponential backoff (runAt is the next attempt) unless the input is invalid.
+ *       Finished jobs are deleted after 7 days.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID returned when the job was started
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [QUEUED, RUNNING, COMPLETED, FAILED]
+ *                     progress:
+ *                       type: object
+ *                       properties:
+ *                         processed:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                     attempts:
+ *                       type: integer
+ *                     maxAttempts:
+ *                       type: integer
+ *                     result:
+ *                       type: object
+ *                       nullable: true
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Error of the last failed attempt
+ *                     runAt:
+ *                       type: string
+ *                       format: date-time
+ *                     finishedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       404:
+ *         description: Job not found (or belongs to another user)
+ */
+router.get('/:id', protect, getJob);
+
+module.exports = router;
@@ -2,16 +2,34 @@ const express = require('express');
 const {
   getAllManga,
   getMangaBySlug,
+  getSimilarManga,
   getTrendingManga,
+  getRecommendedManga,
   getRecentManga,
   getRandomManga,
   createManga,
   updateManga,
   deleteManga,
+  getMySubmissions,
 } = require('../controllers/manga.controller');
-const { getChaptersByManga, createChapter } = require('../controllers/chapter.controller');
+const {
+  getChaptersByManga,
+  createChapter,
+  createChapterFromArchive,
+  bulkImportChapters,
+} = require('../controllers/chapter.controller');
+const commentRoutes = require('./comment.routes');
+const ratingRoutes = require('./rating.routes');
 const { protect, authorize } = require('../middlewares/auth.middleware');
-const { uploadFields, uploadMultiple } = require('../middlewares/upload.middleware');
+const {
+  uploadFields,
+  uploadMultiple,
+  uploadArchive,
+  uploadBulkArchive,
+} = require('../middlewares/upload.middleware');
+const { query, body } = require('express-validator');
+const validate = require('../middlewares/validate.middleware');
+const { mangaListFilters } = require('../validators/manga.validator');
 
 const router = express.Router();
 
@@ -42,6 +60,11 @@ const router = express.Router();
  *           default: 20
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor for infinite scrolling. Send an empty value for the first page, then the returned pagination.nextCursor. In cursor mode page is ignored and pagination is { limit, nextCursor, hasMore }.
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -50,24 +73,66 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [ONGOING, COMPLETED, HIATUS, CANCELLED]
- *         description: Filter by status
+ *         description: Filter by status; comma-separated for several (ONGOING, COMPLETED, HIATUS, CANCELLED)
+ *         example: ONGOING,COMPLETED
  *       - in: query
  *         name: genre
  *         schema:
  *           type: string
  *         description: Filter by genre slug
  *       - in: query
+ *         name: genres
+ *         schema:
+ *           type: string
+ *         description: Comma-separated genre slugs to include
+ *         example: action,fantasy
+ *       - in: query
+ *         name: genreMode
+ *         schema:
+ *           type: string
+ *           enum: [and, or]
+ *           default: and
+ *         description: "and = manga must have every included genre, or = any of them"
+ *       - in: query
+ *         name: excludeGenres
+ *         schema:
+ *           type: string
+ *         description: Comma-separated genre slugs to exclude
+ *         example: horror
+ *       - in: query
  *         name: author
  *         schema:
  *           type: string
  *         description: Filter by author slug
  *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *         description: Minimum release year
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *         description: Maximum release year
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: minChapters
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Minimum number of chapters
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
  *           default: createdAt
- *         description: Sort field
+ *         description: Sort field (createdAt, updatedAt, title, totalViews, averageRating, lastChapterAt)
  *       - in: query
  *         name: order
  *         schema:
@@ -91,17 +156,37 @@ const router = express.Router();
  *                     type: object
  *                 pagination:
  *                   type: object
+ *       400:
+ *         description: Invalid filter parameters
  */
-router.get('/', getAllManga);
+router.get('/', mangaListFilters, validate, getAllManga);
 
 /**
  * @swagger
  * /api/manga/trending:
  *   get:
- *     summary: Get trending manga (sorted by views and rating)
+ *     summary: Get trending manga over a time window
+ *     description: |
+ *       Ranked by time-decayed chapter views inside the window (recent views weigh more).
+ *       Rankings (overall and per genre) are precomputed every few minutes.
+ *       While a window has no views yet the list falls back to all-time
+ *       views and `fallback` is true.
  *     tags: [Manga]
  *     parameters:
  *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d]
+ *           default: 7d
+ *         description: Time window
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Rank only manga in this genre (slug); ranks are positions within the genre
+ *         example: action
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -121,8 +206,90 @@ router.get('/', getAllManga);
  *                   type: array
  *                   items:
  *                     type: object
+ *                 window:
+ *                   type: string
+ *                 computedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 fallback:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid window
+ *       404:
+ *         description: Genre not found
+ */
+router.get(
+  '/trending',
+  [
+    query('window').optional().isIn(['24h', '7d', '30d']).withMessage('Window must be 24h, 7d or 30d'),
+    query('genre').optional().isSlug().withMessage('Genre must be a slug'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ],
+  validate,
+  getTrendingManga
+);
+
+/**
+ * @swagger
+ * /api/manga/recommended:
+ *   get:
+ *     summary: Get personalized recommendations
+ *     description: |
+ *       Manga the user has not read or bookmarked yet, ranked by how well their genres match
+ *       the user's reading history and bookmarks, and by how often other users bookmarked them
+ *       together with the user's bookmarks. Users without history get trending manga
+ *       (`source` is `trending`); short lists are topped up with trending manga.
+ *     tags: [Manga]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items to return
+ *     responses:
+ *       200:
+ *         description: Recommended manga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 source:
+ *                   type: string
+ *                   enum: [personalized, trending]
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       recommendation:
+ *                         type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                           reasons:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [genre, co_bookmark, trending]
+ *       401:
+ *         description: Not authenticated
  */
-router.get('/trending', getTrendingManga);
+router.get(
+  '/recommended',
+  protect,
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ],
+  validate,
+  getRecommendedManga
+);
 
 /**
  * @swagger
@@ -236,6 +403,83 @@ router.get('/recent', getRecentManga);
  */
 router.get('/random', getRandomManga);
 
+/**
+ * @swagger
+ * /api/manga/my-submissions:
+ *   get:
+ *     summary: Get manga submitted by the current uploader with approval status
+ *     tags: [Manga]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: approvalStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *         description: Filter by approval status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Submissions with approval status and rejection reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       approvalStatus:
+ *                         type: string
+ *                         enum: [PENDING, APPROVED, REJECTED]
+ *                       rejectionReason:
+ *                         type: string
+ *                         nullable: true
+ *                       reviewedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *       403:
+ *         description: Not authorized (requires UPLOADER or ADMIN role)
+ */
+router.get(
+  '/my-submissions',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  [
+    query('approvalStatus')
+      .optional()
+      .isIn(['PENDING', 'APPROVED', 'REJECTED'])
+      .withMessage('Invalid approval status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  getMySubmissions
+);
+
 /**
  * @swagger
  * /api/manga/{mangaId}/chapters:
@@ -282,6 +526,10 @@ router.get('/:mangaId/chapters', getChaptersByManga);
  * /api/manga/{mangaId}/chapters:
  *   post:
  *     summary: Create new chapter with automatic image upload to Cloudinary
+ *     description: |
+ *       Uploaded images are sent to storage by a background worker: the response is 202
+ *       with a job ID to poll at GET /api/jobs/{jobId}; the job result holds the created chapter.
+ *       Chapters created from image URLs (no files) are created right away (201).
  *     tags: [Chapters]
  *     security:
  *       - bearerAuth: []
@@ -310,6 +558,15 @@ router.get('/:mangaId/chapters', getChaptersByManga);
  *                 type: string
  *                 example: "Chapter 1: The Beginning"
  *                 description: Chapter title (optional)
+ *               status:
+ *                 type: string
+ *                 enum: [PUBLISHED, DRAFT]
+ *                 default: PUBLISHED
+ *                 description: DRAFT keeps the chapter unpublished until POST /api/chapters/{id}/publish
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future date to schedule publication; the chapter stays a draft until then
  *               images:
  *                 type: array
  *                 items:
@@ -317,8 +574,24 @@ router.get('/:mangaId/chapters', getChaptersByManga);
  *                   format: binary
  *                 description: Upload chapter page images (max 50 files, each max 5MB)
  *     responses:
+ *       202:
+ *         description: Images accepted; returns the job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
  *       201:
- *         description: Chapter created successfully with images uploaded to Cloudinary
+ *         description: Chapter created from image URLs
  *         content:
  *           application/json:
  *             schema:
@@ -350,6 +623,174 @@ router.get('/:mangaId/chapters', getChaptersByManga);
  */
 router.post('/:mangaId/chapters', protect, authorize('UPLOADER', 'ADMIN'), uploadMultiple, createChapter);
 
+/**
+ * @swagger
+ * /api/manga/{mangaId}/chapters/archive:
+ *   post:
+ *     summary: Create a chapter from a ZIP or CBZ archive
+ *     description: |
+ *       Images are taken from the archive in natural filename order (1, 2, 10), checked to be
+ *       JPEG, PNG or WebP, and uploaded in the background. Other files are ignored.
+ *       Poll GET /api/jobs/{jobId} for progress; the job result holds the created chapter.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manga ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - chapterNumber
+ *               - archive
+ *             properties:
+ *               chapterNumber:
+ *                 type: number
+ *                 example: 1
+ *               title:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [PUBLISHED, DRAFT]
+ *                 default: PUBLISHED
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future date to schedule publication
+ *               archive:
+ *                 type: string
+ *                 format: binary
+ *                 description: ZIP or CBZ file (max 200MB)
+ *     responses:
+ *       202:
+ *         description: Archive accepted; returns the job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *       400:
+ *         description: Invalid archive, no images, invalid image or chapter number already exists
+ *       403:
+ *         description: Not authorized to add chapters to this manga
+ */
+router.post(
+  '/:mangaId/chapters/archive',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  uploadArchive,
+  createChapterFromArchive
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/chapters/bulk-import:
+ *   post:
+ *     summary: Import many chapters from one ZIP or CBZ archive
+ *     description: |
+ *       The archive holds one folder per chapter, optionally inside a single top folder.
+ *       Folder names give the chapter number and title, e.g. "Chapter 5.5 - Side Story",
+ *       "Ch.012" or "12. The Return". Pages are ordered by natural filename order.
+ *       Chapters that already exist are skipped or overwritten according to `policy`;
+ *       overwriting replaces the pages and keeps the chapter's status and views.
+ *       All chapters are saved in one transaction, so a failed import adds nothing.
+ *       Poll GET /api/jobs/{jobId}; the job result is a report per chapter.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manga ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - archive
+ *             properties:
+ *               archive:
+ *                 type: string
+ *                 format: binary
+ *                 description: ZIP or CBZ file (max 500MB)
+ *               policy:
+ *                 type: string
+ *                 enum: [skip, overwrite]
+ *                 default: skip
+ *                 description: What to do with chapter numbers that already exist
+ *               status:
+ *                 type: string
+ *                 enum: [PUBLISHED, DRAFT]
+ *                 default: PUBLISHED
+ *                 description: Status of the new chapters
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future date to schedule the new chapters
+ *     responses:
+ *       202:
+ *         description: Archive accepted; returns the job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *       400:
+ *         description: Invalid archive, images outside a chapter folder, unreadable or duplicate chapter numbers
+ *       403:
+ *         description: Not authorized to add chapters to this manga
+ *       404:
+ *         description: Manga not found
+ */
+router.post(
+  '/:mangaId/chapters/bulk-import',
+  protect,
+  authorize('UPLOADER', 'ADMIN'),
+  uploadBulkArchive,
+  [
+    body('policy').optional().isIn(['skip', 'overwrite']).withMessage("Policy must be 'skip' or 'overwrite'"),
+  ],
+  validate,
+  bulkImportChapters
+);
+
+// Comments of a manga
+router.use('/:mangaId/comments', commentRoutes);
+
+// Ratings of a manga
+router.use('/:mangaId/ratings', ratingRoutes);
+
 /**
  * @swagger
  * /api/manga/{slug}:
@@ -404,6 +845,65 @@ router.post('/:mangaId/chapters', protect, authorize('UPLOADER', 'ADMIN'), uploa
  */
 router.get('/:slug', getMangaBySlug);
 
+/**
+ * @swagger
+ * /api/manga/{slug}/similar:
+ *   get:
+ *     summary: Get manga similar to a manga
+ *     description: Other approved manga scored by shared genres, shared authors and readers in common. Results are cached for up to 30 minutes per server instance, so genre changes can take that long to show everywhere.
+ *     tags: [Manga]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manga slug
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 24
+ *         description: Number of items to return
+ *     responses:
+ *       200:
+ *         description: Similar manga, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       similarity:
+ *                         type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                           sharedGenres:
+ *                             type: integer
+ *                           sharedAuthors:
+ *                             type: integer
+ *                           sharedReaders:
+ *                             type: integer
+ *       404:
+ *         description: Manga not found
+ */
+router.get(
+  '/:slug/similar',
+  [
+    query('limit').optional().isInt({ min: 1, max: 24 }).withMessage('Limit must be between 1 and 24'),
+  ],
+  validate,
+  getSimilarManga
+);
+
 /**
  * @swagger
  * /api/manga:
@@ -438,11 +938,11 @@ router.get('/:slug', getMangaBySlug);
  *               thumbnail:
  *                 type: string
  *                 format: binary
- *                 description: Upload thumbnail image (auto upload to Cloudinary)
+ *                 description: Upload thumbnail image (uploaded to storage in the background)
  *               coverImage:
  *                 type: string
  *                 format: binary
- *                 description: Upload cover image (auto upload to Cloudinary)
+ *                 description: Upload cover image (uploaded to storage in the background)
  *               status:
  *                 type: string
  *                 enum: [ONGOING, COMPLETED, HIATUS, CANCELLED]
@@ -472,6 +972,9 @@ router.get('/:slug', getMangaBySlug);
  *                   type: boolean
  *                 data:
  *                   type: object
+ *                 imageJobId:
+ *                   type: string
+ *                   description: Present when thumbnail/cover files were sent; they are uploaded in the background (poll GET /api/jobs/{id})
  *                 message:
  *                   type: string
  *       403:
@@ -507,6 +1010,13 @@ router.post('/', protect, authorize('UPLOADER', 'ADMIN'), uploadFields, createMa
  *               status:
  *                 type: string
  *                 enum: [ONGOING, COMPLETED, HIATUS, CANCELLED]
+ *               genreNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the genre list (missing genres are created)
+ *                 example: ["Action", "Fantasy"]
+ *     description: Only the fields below plus alternativeTitles, thumbnail, coverImage and releaseYear can be changed; other fields are ignored. Editing a REJECTED submission puts it back to PENDING.
  *     responses:
  *       200:
  *         description: Manga updated successfully
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  rateManga,
+  deleteRating,
+  getMyRating,
+  getRatingSummary,
+} = require('../controllers/rating.controller');
+const { MIN_RATING, MAX_RATING } = require('../services/rating.service');
+const { protect } = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+
+// Mounted under /api/manga/:mangaId/ratings
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ratings
+ *   description: Manga ratings (1-5 stars)
+ */
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/ratings:
+ *   get:
+ *     summary: Get rating summary with histogram
+ *     tags: [Ratings]
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manga ID
+ *     responses:
+ *       200:
+ *         description: Rating summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     averageRating:
+ *                       type: number
+ *                       example: 4.25
+ *                     totalRatings:
+ *                       type: integer
+ *                       example: 120
+ *                     histogram:
+ *                       type: object
+ *                       description: Number of ratings per star
+ *                       example: { "1": 2, "2": 5, "3": 13, "4": 40, "5": 60 }
+ *       404:
+ *         description: Manga not found
+ */
+router.get('/', getRatingSummary);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/ratings/me:
+ *   get:
+ *     summary: Get current user's rating for a manga
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User rating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hasRated:
+ *                       type: boolean
+ *                     rating:
+ *                       type: integer
+ *                       nullable: true
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ */
+router.get('/me', protect, getMyRating);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/ratings:
+ *   put:
+ *     summary: Rate manga (creates or replaces the user's rating)
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *     responses:
+ *       200:
+ *         description: Rating saved, returns updated manga average
+ *       400:
+ *         description: Invalid rating
+ *       404:
+ *         description: Manga not found
+ */
+router.put(
+  '/',
+  protect,
+  [
+    body('rating')
+      .isInt({ min: MIN_RATING, max: MAX_RATING })
+      .withMessage(`Rating must be an integer between ${MIN_RATING} and ${MAX_RATING}`),
+  ],
+  validate,
+  rateManga
+);
+
+/**
+ * @swagger
+ * /api/manga/{mangaId}/ratings:
+ *   delete:
+ *     summary: Remove current user's rating
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mangaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rating removed, returns updated manga average
+ *       404:
+ *         description: Manga or rating not found
+ */
+router.delete('/', protect, deleteRating);
+
+module.exports = router;
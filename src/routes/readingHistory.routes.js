@@ -101,6 +101,11 @@ const router = express.Router();
  *           default: 20
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor for infinite scrolling. Send an empty value for the first page, then the returned pagination.nextCursor. In cursor mode page is ignored and pagination is { limit, nextCursor, hasMore }.
+ *       - in: query
  *         name: mangaId
  *         schema:
  *           type: string
@@ -0,0 +1,173 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { searchManga, getSuggestions } = require('../controllers/search.controller');
+const validate = require('../middlewares/validate.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Manga search
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search manga
+ *     description: |
+ *       Matches title, alternative titles, author names and description. Matching ignores
+ *       case and diacritics ("dao hai tac" finds "Đảo Hải Tặc") and tolerates typos in titles.
+ *       Results are ranked by relevance, then by views. Matched terms are wrapped in
+ *       `<mark>` in the returned highlights (the rest of the text is HTML-escaped).
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         example: dao hai tac
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                         description: Relevance score (higher is better)
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "<mark>Đảo</mark> <mark>Hải</mark> <mark>Tặc</mark>"
+ *                           alternativeTitle:
+ *                             type: string
+ *                             nullable: true
+ *                           description:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Snippet around the first match
+ *                 query:
+ *                   type: string
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid query
+ */
+router.get(
+  '/',
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search query is required (max 200 characters)'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ],
+  validate,
+  searchManga
+);
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Search bar suggestions
+ *     description: |
+ *       Returns a mixed list of matching manga titles, alternative titles, authors and
+ *       genres, tagged with their type. Meant to be called while the user types: queries
+ *       shorter than 2 characters return an empty list, results are cached briefly, and
+ *       sources that exceed the latency budget are skipped (`partial` is then true).
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         example: one pi
+ *     responses:
+ *       200:
+ *         description: Suggestions (manga first, then authors, then genres)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 partial:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [manga, alternative_title, author, genre]
+ *                       id:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *                         description: Matched title or name
+ *                       highlight:
+ *                         type: string
+ *                         description: text with matched terms wrapped in <mark>
+ *                       title:
+ *                         type: string
+ *                         description: Main title (alternative_title only)
+ *                       thumbnail:
+ *                         type: string
+ *                         description: manga and alternative_title only
+ */
+router.get(
+  '/suggest',
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search query is required (max 100 characters)'),
+  ],
+  validate,
+  getSuggestions
+);
+
+module.exports = router;
@@ -15,7 +15,7 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: Upload
- *   description: File upload to Cloudinary
+ *   description: File upload to the configured storage (Cloudinary, local disk or S3)
  */
 
 /**
@@ -41,7 +41,7 @@ const router = express.Router();
  *                 description: Image file (JPEG, PNG, WebP, max 5MB)
  *               folder:
  *                 type: string
- *                 description: Cloudinary folder path
+ *                 description: Storage folder path
  *                 example: manga/covers
  *     responses:
  *       200:
@@ -95,7 +95,7 @@ router.post('/image', protect, authorize('UPLOADER', 'ADMIN'), uploadSingle, upl
  *                 description: Multiple image files (max 50, each max 5MB)
  *               folder:
  *                 type: string
- *                 description: Cloudinary folder path
+ *                 description: Storage folder path
  *                 example: manga/chapters
  *     responses:
  *       200:
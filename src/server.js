@@ -1,6 +1,8 @@
 require('dotenv').config();
 const app = require('./app');
 const { connectWithRetry } = require('./config/database');
+const { startJobs, stopJobs } = require('./jobs');
+const { startWorker, stopWorker } = require('./queue/worker');
 
 const PORT = process.env.PORT || 5000;
 
@@ -26,6 +28,16 @@ const server = app.listen(PORT, async () => {
   // Test database connection with retry
   try {
     await connectWithRetry(5, 3000);
+
+    // Background jobs (set ENABLE_JOBS=false when another instance runs the shared ones)
+    startJobs({ shared: process.env.ENABLE_JOBS !== 'false' });
+
+    // Queued uploads/imports (set JOB_WORKER=false when `npm run worker` processes them).
+    // Archives are inflated off the event loop, but large archive imports still compete with
+    // requests for CPU and memory; in production run them with `npm run worker`.
+    if (process.env.JOB_WORKER !== 'false') {
+      startWorker();
+    }
   } catch (error) {
     console.error('❌ Failed to connect to database after retries');
     console.error('   Server will continue running but database operations will fail\n');
@@ -46,6 +58,8 @@ process.on('unhandledRejection', (err) => {
 process.on('SIGTERM', async () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
   server.close(async () => {
+    await stopJobs();
+    await stopWorker();
     const prisma = require('./config/database');
     await prisma.$disconnect();
     console.log('💥 Process terminated!');
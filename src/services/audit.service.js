@@ -0,0 +1,87 @@
+const prisma = require('../config/database');
+
+const AUDIT_ACTIONS = {
+  USER_ROLE_CHANGED: 'USER_ROLE_CHANGED',
+  USER_SUSPENDED: 'USER_SUSPENDED',
+  USER_SUSPENSION_EXPIRED: 'USER_SUSPENSION_EXPIRED',
+  USER_BANNED: 'USER_BANNED',
+  USER_ACTIVATED: 'USER_ACTIVATED',
+};
+
+/**
+ * Record an audit log entry
+ * @param {object} entry - { actorId, action, targetType, targetId, metadata }
+ * @param {object} [client] - Prisma client or transaction
+ */
+const recordAudit = async (entry, client = prisma) => {
+  const { actorId = null, action, targetType, targetId, metadata } = entry;
+
+  return client.auditLog.create({
+    data: {
+      actorId,
+      action,
+      targetType,
+      targetId,
+      metadata,
+    },
+  });
+};
+
+/**
+ * Get audit logs with filters
+ */
+const getAuditLogs = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    actorId,
+    action,
+    targetType,
+    targetId,
+  } = options;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = {};
+
+  if (actorId) where.actorId = actorId;
+  if (action) where.action = action;
+  if (targetType) where.targetType = targetType;
+  if (targetId) where.targetId = targetId;
+
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            username: true,
+            role: true,
+          },
+        },
+      },
+    }),
+    prisma.auditLog.count({ where }),
+  ]);
+
+  return {
+    data: logs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  getAuditLogs,
+};
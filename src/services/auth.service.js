@@ -2,6 +2,37 @@ const bcrypt = require('bcryptjs');
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
 const { uploadSingleImage } = require('./upload.service');
+const { revokeUserSessions } = require('./session.service');
+const { liftExpiredSuspensions } = require('./user.service');
+const {
+  TOKEN_TTL_MS,
+  issueUserToken,
+  consumeUserToken,
+  getLatestUserToken,
+} = require('./userToken.service');
+const { sendMail } = require('../mailer');
+const { passwordResetEmail, emailVerificationEmail } = require('../mailer/templates');
+
+// Minimum delay between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+// Minimum delay between two password reset emails for the same user (requests in between are ignored)
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000; // 1 minute
+
+/**
+ * Send an email verification link
+ */
+const sendVerificationEmail = async (user) => {
+  const { token } = await issueUserToken(user.id, 'EMAIL_VERIFICATION');
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      username: user.username,
+      token,
+      expiresInHours: Math.round(TOKEN_TTL_MS.EMAIL_VERIFICATION / (60 * 60 * 1000)),
+    }),
+  });
+};
 
 /**
  * Register new user
@@ -34,6 +65,11 @@ const registerUser = async (userData) => {
     },
   });
 
+  // Registration succeeds even if the mail server is down; the user can resend
+  sendVerificationEmail(user).catch(error => {
+    console.error('❌ Failed to send verification email:', error.message);
+  });
+
   return user;
 };
 
@@ -59,13 +95,25 @@ const loginUser = async (credentials) => {
     throw new AppError('Invalid credentials', 401);
   }
 
+  // Suspensions end on their own once suspendedUntil has passed
+  if (user.status === 'SUSPENDED' && user.suspendedUntil && user.suspendedUntil <= new Date()) {
+    if (await liftExpiredSuspensions(user.id)) {
+      user.status = 'ACTIVE';
+    }
+  }
+
   // Check if banned or suspended
   if (user.status === 'BANNED') {
     throw new AppError('Your account has been banned', 403);
   }
 
   if (user.status === 'SUSPENDED') {
-    throw new AppError('Your account has been suspended', 403);
+    throw new AppError(
+      user.suspendedUntil
+        ? `Your account has been suspended until ${user.suspendedUntil.toISOString()}`
+        : 'Your account has been suspended',
+      403
+    );
   }
 
   // Update last login
@@ -91,6 +139,8 @@ const getUserById = async (userId) => {
       status: true,
       avatar: true,
       bio: true,
+      emailVerified: true,
+      emailVerifiedAt: true,
       createdAt: true,
       lastLoginAt: true,
     },
@@ -141,9 +191,9 @@ const updateUserProfile = async (userId, updateData, avatarFile = null) => {
 };
 
 /**
- * Change user password
+ * Change user password and sign out every other session
  */
-const changeUserPassword = async (userId, passwords) => {
+const changeUserPassword = async (userId, passwords, currentSessionId) => {
   const { currentPassword, newPassword } = passwords;
 
   // Get user with password
@@ -171,6 +221,131 @@ const changeUserPassword = async (userId, passwords) => {
     data: { password: hashedPassword },
   });
 
+  await revokeUserSessions(userId, {
+    exceptSessionId: currentSessionId,
+    reason: 'PASSWORD_CHANGED',
+  });
+
+  return true;
+};
+
+/**
+ * Email a password reset link, at most once per cooldown for the same account
+ */
+const sendPasswordResetEmail = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, email: true, username: true, status: true },
+  });
+
+  if (!user || user.status === 'BANNED') {
+    return;
+  }
+
+  const latest = await getLatestUserToken(user.id, 'PASSWORD_RESET');
+
+  if (latest && Date.now() - latest.createdAt.getTime() < PASSWORD_RESET_COOLDOWN_MS) {
+    return;
+  }
+
+  const { token, ttlMs } = await issueUserToken(user.id, 'PASSWORD_RESET');
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      username: user.username,
+      token,
+      expiresInMinutes: Math.round(ttlMs / (60 * 1000)),
+    }),
+  });
+};
+
+/**
+ * Send a password reset link.
+ * Always succeeds, and the email is sent after the response, so neither the
+ * result nor the response time reveals which emails are registered.
+ */
+const requestPasswordReset = async (email) => {
+  setImmediate(() => {
+    sendPasswordResetEmail(email).catch(error => {
+      console.error('❌ Failed to send password reset email:', error.message);
+    });
+  });
+};
+
+/**
+ * Reset password with a token from the reset email and sign out every session
+ */
+const resetPassword = async (token, newPassword) => {
+  const userToken = await consumeUserToken(token, 'PASSWORD_RESET');
+
+  const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+  // The reset link was delivered to the inbox, which also proves ownership
+  const user = await prisma.user.findUnique({
+    where: { id: userToken.userId },
+    select: { emailVerified: true },
+  });
+
+  await prisma.user.update({
+    where: { id: userToken.userId },
+    data: {
+      password: hashedPassword,
+      ...(!user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() }),
+    },
+  });
+
+  await revokeUserSessions(userToken.userId, { reason: 'PASSWORD_RESET' });
+
+  return true;
+};
+
+/**
+ * Verify email address with a token from the verification email
+ */
+const verifyEmail = async (token) => {
+  const userToken = await consumeUserToken(token, 'EMAIL_VERIFICATION');
+
+  return prisma.user.update({
+    where: { id: userToken.userId },
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    },
+    select: {
+      id: true,
+      email: true,
+      emailVerified: true,
+      emailVerifiedAt: true,
+    },
+  });
+};
+
+/**
+ * Send a new verification email to the current user
+ */
+const resendVerificationEmail = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, username: true, emailVerified: true },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.emailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  const latest = await getLatestUserToken(userId, 'EMAIL_VERIFICATION');
+
+  if (latest && Date.now() - latest.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+    throw new AppError('Please wait a minute before requesting another email', 429);
+  }
+
+  await sendVerificationEmail(user);
+
   return true;
 };
 
@@ -180,4 +355,8 @@ module.exports = {
   getUserById,
   updateUserProfile,
   changeUserPassword,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 };
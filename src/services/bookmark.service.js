@@ -1,5 +1,12 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
+const {
+  isCursorMode,
+  buildSortKeys,
+  buildCursorQuery,
+  withCursorWhere,
+  buildCursorPage,
+} = require('../utils/pagination.util');
 
 /**
  * Add manga to bookmarks
@@ -101,7 +108,7 @@ const removeBookmark = async (userId, mangaId) => {
 };
 
 /**
- * Get user's bookmarks
+ * Get user's bookmarks (page or cursor pagination)
  */
 const getUserBookmarks = async (userId, filters) => {
   const {
@@ -114,13 +121,26 @@ const getUserBookmarks = async (userId, filters) => {
   const skip = (parseInt(page) - 1) * parseInt(limit);
   const take = parseInt(limit);
 
+  const where = { userId };
+  const cursorMode = isCursorMode(filters);
+  const sortKeys = cursorMode ? buildSortKeys([sortBy], order) : null;
+
+  let pageQuery;
+  if (cursorMode) {
+    const cursorQuery = buildCursorQuery(sortKeys, filters.cursor, take);
+    pageQuery = {
+      where: withCursorWhere(where, cursorQuery.where),
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    };
+  } else {
+    pageQuery = { where, skip, take, orderBy: { [sortBy]: order } };
+  }
+
   const [total, bookmarks] = await Promise.all([
-    prisma.bookmark.count({ where: { userId } }),
+    cursorMode ? null : prisma.bookmark.count({ where }),
     prisma.bookmark.findMany({
-      where: { userId },
-      skip,
-      take,
-      orderBy: { [sortBy]: order },
+      ...pageQuery,
       include: {
         manga: {
           include: {
@@ -151,15 +171,22 @@ const getUserBookmarks = async (userId, filters) => {
     }),
   ]);
 
-  // Format response
-  const formattedBookmarks = bookmarks.map(bookmark => ({
+  const formatBookmark = (bookmark) => ({
     ...bookmark,
     manga: {
       ...bookmark.manga,
       authors: bookmark.manga.authors.map(a => a.author),
       genres: bookmark.manga.genres.map(g => g.genre),
     },
-  }));
+  });
+
+  if (cursorMode) {
+    const { items, pagination } = buildCursorPage(bookmarks, sortKeys, take);
+    return { data: items.map(formatBookmark), pagination };
+  }
+
+  // Format response
+  const formattedBookmarks = bookmarks.map(formatBookmark);
 
   return {
     data: formattedBookmarks,
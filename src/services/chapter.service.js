@@ -2,11 +2,21 @@ const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
 const { createSlug } = require('../utils/slugify.util');
 const { uploadMultiple } = require('./upload.service');
+const { queueNewChapterNotifications } = require('./notification.service');
+
+const chapterNavSelect = {
+  id: true,
+  chapterNumber: true,
+  title: true,
+  slug: true,
+};
 
 /**
- * Get chapter by slug
+ * Get chapter by slug with reader context: neighbouring chapters,
+ * the manga's chapter count and the reader's saved progress
+ * @param {string} [userId] - Reader, when signed in
  */
-const getChapterBySlug = async (slug) => {
+const getChapterBySlug = async (slug, userId = null) => {
   const chapter = await prisma.chapter.findFirst({
     where: { slug, status: 'PUBLISHED' },
     include: {
@@ -25,33 +35,51 @@ const getChapterBySlug = async (slug) => {
     throw new AppError('Chapter not found', 404);
   }
 
-  return chapter;
-};
-
-/**
- * Increment chapter views
- */
-const incrementChapterViews = async (chapterId, mangaId, userId = null) => {
-  // Increment view count
-  await prisma.chapter.update({
-    where: { id: chapterId },
-    data: { totalViews: { increment: 1 } },
-  });
-
-  await prisma.manga.update({
-    where: { id: mangaId },
-    data: { totalViews: { increment: 1 } },
-  });
-
-  // Track view if user is logged in
-  if (userId) {
-    await prisma.chapterView.create({
-      data: {
-        chapterId,
-        userId,
-      },
-    });
-  }
+  const published = { mangaId: chapter.mangaId, status: 'PUBLISHED' };
+
+  const [previous, next, totalChapters, progress] = await Promise.all([
+    prisma.chapter.findFirst({
+      where: { ...published, chapterNumber: { lt: chapter.chapterNumber } },
+      orderBy: { chapterNumber: 'desc' },
+      select: chapterNavSelect,
+    }),
+    prisma.chapter.findFirst({
+      where: { ...published, chapterNumber: { gt: chapter.chapterNumber } },
+      orderBy: { chapterNumber: 'asc' },
+      select: chapterNavSelect,
+    }),
+    prisma.chapter.count({ where: published }),
+    userId
+      ? prisma.readingHistory.findUnique({
+        where: {
+          userId_chapterId: {
+            userId,
+            chapterId: chapter.id,
+          },
+        },
+        select: {
+          currentPage: true,
+          totalPages: true,
+          progressPercent: true,
+          isCompleted: true,
+          lastReadAt: true,
+        },
+      })
+      : null,
+  ]);
+
+  return {
+    ...chapter,
+    manga: {
+      ...chapter.manga,
+      totalChapters,
+    },
+    navigation: {
+      previous,
+      next,
+    },
+    progress,
+  };
 };
 
 /**
@@ -82,12 +110,154 @@ const getChaptersByMangaId = async (mangaId, options = {}) => {
 };
 
 /**
- * Create new chapter
+ * Read status/publishedAt of a new chapter.
+ * A future publishedAt schedules the chapter; DRAFT without a date keeps it unpublished.
+ * @returns {object} { status: 'PUBLISHED' | 'DRAFT', publishedAt: Date|null }
  */
-const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
-  const { chapterNumber, title } = chapterData;
+const parsePublishOptions = ({ status = 'PUBLISHED', publishedAt }) => {
+  if (!['DRAFT', 'PUBLISHED'].includes(status)) {
+    throw new AppError('Status must be DRAFT or PUBLISHED', 400);
+  }
+
+  if (!publishedAt) {
+    return { status, publishedAt: null };
+  }
+
+  const date = new Date(publishedAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError('publishedAt must be a valid date', 400);
+  }
+
+  if (date > new Date()) {
+    return { status: 'DRAFT', publishedAt: date };
+  }
+
+  if (status === 'DRAFT') {
+    throw new AppError('Scheduled publish date must be in the future', 400);
+  }
+
+  return { status, publishedAt: null };
+};
+
+/**
+ * Publish a draft chapter: mark it PUBLISHED, update the manga counters and
+ * notify bookmarkers. The status check is part of the update, so a chapter
+ * published concurrently (scheduler and uploader) is only published once.
+ * @returns {Promise<object|null>} The published chapter, or null if it was not a draft
+ */
+const publishChapter = async (chapterId) => {
+  const now = new Date();
+
+  const chapter = await prisma.$transaction(async (tx) => {
+    const draft = await tx.chapter.findUnique({
+      where: { id: chapterId },
+      select: { publishedAt: true },
+    });
+
+    if (!draft) return null;
+
+    // Scheduled chapters keep their scheduled time; others are published now
+    const publishedAt = draft.publishedAt && draft.publishedAt <= now ? draft.publishedAt : now;
+
+    const { count } = await tx.chapter.updateMany({
+      where: { id: chapterId, status: 'DRAFT' },
+      data: { status: 'PUBLISHED', publishedAt },
+    });
+
+    if (count === 0) return null;
+
+    const published = await tx.chapter.findUnique({
+      where: { id: chapterId },
+      include: { manga: true },
+    });
+
+    await tx.manga.update({
+      where: { id: published.mangaId },
+      data: {
+        totalChapters: { increment: 1 },
+        lastChapterAt: publishedAt,
+      },
+    });
+
+    return published;
+  });
 
-  // Check if manga exists and user has permission
+  if (!chapter) return null;
+
+  const { manga, ...publishedChapter } = chapter;
+
+  // Notify bookmarkers in the background
+  queueNewChapterNotifications(manga, publishedChapter);
+
+  return publishedChapter;
+};
+
+/**
+ * Publish scheduled chapters whose publish time has come
+ * @returns {Promise<number>} Number of chapters published
+ */
+const publishDueChapters = async (batchSize = 100) => {
+  const due = await prisma.chapter.findMany({
+    where: {
+      status: 'DRAFT',
+      publishedAt: { lte: new Date() },
+    },
+    orderBy: { publishedAt: 'asc' },
+    take: batchSize,
+    select: { id: true },
+  });
+
+  let published = 0;
+
+  for (const { id } of due) {
+    if (await publishChapter(id)) published++;
+  }
+
+  return published;
+};
+
+/**
+ * Publish a draft chapter now (owner or admin)
+ */
+const publishChapterNow = async (chapterId, userId, userRole) => {
+  const chapter = await prisma.chapter.findUnique({
+    where: { id: chapterId },
+    include: {
+      manga: true,
+    },
+  });
+
+  if (!chapter) {
+    throw new AppError('Chapter not found', 404);
+  }
+
+  if (chapter.manga.uploaderId !== userId && userRole !== 'ADMIN') {
+    throw new AppError('Not authorized to publish this chapter', 403);
+  }
+
+  if (chapter.status !== 'DRAFT') {
+    throw new AppError('Only draft chapters can be published', 400);
+  }
+
+  // Publishing now replaces any schedule
+  await prisma.chapter.updateMany({
+    where: { id: chapterId, status: 'DRAFT' },
+    data: { publishedAt: null },
+  });
+
+  const published = await publishChapter(chapterId);
+
+  if (!published) {
+    throw new AppError('Chapter was published meanwhile', 409);
+  }
+
+  return published;
+};
+
+/**
+ * Load a manga the user may add chapters to (uploader or admin)
+ */
+const findMangaForChapters = async (mangaId, userId, userRole) => {
   const manga = await prisma.manga.findUnique({
     where: { id: mangaId },
   });
@@ -100,6 +270,27 @@ const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
     throw new AppError('Not authorized to add chapters to this manga', 403);
   }
 
+  return manga;
+};
+
+/**
+ * Chapter slug; decimal numbers keep their separator (5.5 → "-ch-5-5", not "-ch-55")
+ */
+const createChapterSlug = (manga, chapterNumber) => {
+  return createSlug(`${manga.slug}-ch-${String(parseFloat(chapterNumber)).replace('.', '-')}`);
+};
+
+/**
+ * Check that the user may add this chapter number to the manga
+ * @returns {Promise<object>} The manga
+ */
+const assertCanAddChapter = async (mangaId, chapterNumber, userId, userRole) => {
+  const manga = await findMangaForChapters(mangaId, userId, userRole);
+
+  if (chapterNumber === undefined || chapterNumber === '' || Number.isNaN(parseFloat(chapterNumber))) {
+    throw new AppError('Chapter number is required', 400);
+  }
+
   // Check if chapter number already exists
   const existingChapter = await prisma.chapter.findFirst({
     where: {
@@ -112,6 +303,18 @@ const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
     throw new AppError('Chapter number already exists', 400);
   }
 
+  return manga;
+};
+
+/**
+ * Create new chapter
+ */
+const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
+  const { chapterNumber, title } = chapterData;
+  const { status, publishedAt } = parsePublishOptions(chapterData);
+
+  const manga = await assertCanAddChapter(mangaId, chapterNumber, userId, userRole);
+
   let images = [];
 
   // Upload images if files provided
@@ -129,9 +332,9 @@ const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
     throw new AppError('No images provided', 400);
   }
 
-  const slug = createSlug(`${manga.slug}-ch-${chapterNumber}`);
+  const slug = createChapterSlug(manga, chapterNumber);
 
-  // Create chapter
+  // Chapters are created as drafts and published below unless they wait for a schedule
   const chapter = await prisma.chapter.create({
     data: {
       mangaId,
@@ -140,23 +343,21 @@ const createChapter = async (mangaId, chapterData, files, userId, userRole) => {
       slug,
       images,
       totalImages: images.length,
-      status: 'PUBLISHED',
-      publishedAt: new Date(),
+      status: 'DRAFT',
+      publishedAt,
     },
   });
 
-  // Update manga
-  await prisma.manga.update({
-    where: { id: mangaId },
-    data: {
-      totalChapters: { increment: 1 },
-      lastChapterAt: new Date(),
-    },
-  });
+  if (status === 'PUBLISHED') {
+    return publishChapter(chapter.id);
+  }
 
   return chapter;
 };
 
+// Fields an uploader may change with PUT /api/chapters/:id
+const EDITABLE_CHAPTER_FIELDS = ['title', 'status', 'publishedAt'];
+
 /**
  * Update chapter
  */
@@ -177,9 +378,56 @@ const updateChapter = async (chapterId, updateData, userId, userRole) => {
     throw new AppError('Not authorized to update this chapter', 403);
   }
 
-  const updatedChapter = await prisma.chapter.update({
-    where: { id: chapterId },
-    data: updateData,
+  // Pages are edited through the page endpoints, which keep totalImages and storage in sync
+  const data = {};
+  for (const field of EDITABLE_CHAPTER_FIELDS) {
+    if (updateData[field] !== undefined) {
+      data[field] = updateData[field];
+    }
+  }
+
+  // First publication sends notifications, so drafts only go live through publishChapter
+  if (data.status === 'DRAFT' && chapter.status !== 'DRAFT') {
+    throw new AppError('A published chapter cannot be moved back to draft', 400);
+  }
+  if (data.status === 'PUBLISHED' && chapter.status === 'DRAFT') {
+    throw new AppError('Use the publish endpoint to publish a draft chapter', 400);
+  }
+
+  // Drafts can be (re)scheduled; null removes the schedule
+  if (data.publishedAt !== undefined) {
+    if (chapter.status !== 'DRAFT') {
+      throw new AppError('Only draft chapters can be rescheduled', 400);
+    }
+
+    if (data.publishedAt !== null) {
+      data.publishedAt = new Date(data.publishedAt);
+
+      if (Number.isNaN(data.publishedAt.getTime()) || data.publishedAt <= new Date()) {
+        throw new AppError('Scheduled publish date must be a future date', 400);
+      }
+    }
+  }
+
+  // Hiding or unhiding a published chapter changes the manga's chapter count
+  const countChange = data.status === 'HIDDEN' && chapter.status === 'PUBLISHED' ? -1
+    : data.status === 'PUBLISHED' && chapter.status === 'HIDDEN' ? 1
+      : 0;
+
+  const updatedChapter = await prisma.$transaction(async (tx) => {
+    const result = await tx.chapter.update({
+      where: { id: chapterId },
+      data,
+    });
+
+    if (countChange !== 0) {
+      await tx.manga.update({
+        where: { id: chapter.mangaId },
+        data: { totalChapters: { increment: countChange } },
+      });
+    }
+
+    return result;
   });
 
   return updatedChapter;
@@ -209,13 +457,15 @@ const deleteChapter = async (chapterId, userId, userRole) => {
     where: { id: chapterId },
   });
 
-  // Update manga chapter count
-  await prisma.manga.update({
-    where: { id: chapter.mangaId },
-    data: {
-      totalChapters: { decrement: 1 },
-    },
-  });
+  // Drafts and hidden chapters were never counted
+  if (chapter.status === 'PUBLISHED') {
+    await prisma.manga.update({
+      where: { id: chapter.mangaId },
+      data: {
+        totalChapters: { decrement: 1 },
+      },
+    });
+  }
 
   return true;
 };
@@ -268,9 +518,15 @@ const trackReadingProgress = async (chapterId, userId, progressData) => {
 
 module.exports = {
   getChapterBySlug,
-  incrementChapterViews,
   getChaptersByMangaId,
+  parsePublishOptions,
+  findMangaForChapters,
+  createChapterSlug,
+  assertCanAddChapter,
   createChapter,
+  publishChapter,
+  publishDueChapters,
+  publishChapterNow,
   updateChapter,
   deleteChapter,
   trackReadingProgress,
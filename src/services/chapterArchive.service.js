@@ -0,0 +1,366 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const { checkChapterArchive, checkChapterFolders } = require('../utils/archive.util');
+const { mapWithConcurrency } = require('../utils/concurrency.util');
+const { uploadSingleImage, deleteImageFromCloud, extractPublicId } = require('./upload.service');
+const {
+  parsePublishOptions,
+  findMangaForChapters,
+  createChapterSlug,
+  assertCanAddChapter,
+  createChapter,
+} = require('./chapter.service');
+const { deleteOrphanedImages } = require('./chapterPage.service');
+const { queueNewChapterNotifications } = require('./notification.service');
+const { enqueueJob } = require('./job.service');
+
+// Parallel storage uploads per archive
+const ARCHIVE_UPLOAD_CONCURRENCY = parseInt(process.env.ARCHIVE_UPLOAD_CONCURRENCY) || 4;
+
+// What a bulk import does with chapter numbers the manga already has
+const IMPORT_POLICIES = ['skip', 'overwrite'];
+
+/**
+ * Delete uploaded pages of a chapter that could not be created
+ */
+const deleteUploadedPages = async (urls) => {
+  const results = await Promise.allSettled(
+    urls.map(extractPublicId).filter(Boolean).map(publicId => deleteImageFromCloud(publicId))
+  );
+
+  const failed = results.filter(result => result.status === 'rejected').length;
+  if (failed > 0) {
+    console.error(`❌ Failed to clean up ${failed} uploaded page(s) of a failed archive import`);
+  }
+};
+
+const pageFolder = (mangaId, chapterNumber) => `manga/${mangaId}/chapter-${chapterNumber}`;
+
+/**
+ * Upload pages with bounded concurrency. If one upload fails, the pages
+ * uploaded so far are deleted before the error is rethrown.
+ * @param {function} [onProgress] - Called with the number of uploaded pages
+ * @returns {Promise<string[]>} Page URLs in page order
+ */
+const uploadPages = async (pages, folder, onProgress) => {
+  const urls = [];
+
+  try {
+    await mapWithConcurrency(pages, ARCHIVE_UPLOAD_CONCURRENCY, async (page, index) => {
+      const { url } = await uploadSingleImage(page, folder);
+      urls[index] = url;
+    }, onProgress);
+  } catch (error) {
+    await deleteUploadedPages(urls);
+    throw error;
+  }
+
+  return urls;
+};
+
+/**
+ * Upload extracted pages and create the chapter
+ * @param {function} [onProgress] - Called with the number of uploaded pages
+ * @returns {Promise<object>} The created chapter
+ */
+const uploadPagesAndCreateChapter = async (mangaId, chapterData, pages, userId, userRole, onProgress) => {
+  const urls = await uploadPages(pages, pageFolder(mangaId, chapterData.chapterNumber), onProgress);
+
+  try {
+    return await createChapter(mangaId, { ...chapterData, images: urls }, null, userId, userRole);
+  } catch (error) {
+    await deleteUploadedPages(urls);
+    throw error;
+  }
+};
+
+/**
+ * Publish options stored with a queued chapter. A scheduled chapter is stored as
+ * PUBLISHED with its date, so a schedule that passes while the job waits in the
+ * queue publishes the chapter instead of failing it.
+ */
+const getQueuedPublishOptions = (chapterData) => {
+  const { status, publishedAt } = parsePublishOptions(chapterData);
+
+  return publishedAt
+    ? { status: 'PUBLISHED', publishedAt: publishedAt.toISOString() }
+    : { status };
+};
+
+/**
+ * Summary of a created chapter, used as job result
+ */
+const formatChapterResult = (chapter) => ({
+  chapterId: chapter.id,
+  slug: chapter.slug,
+  status: chapter.status,
+  totalImages: chapter.totalImages,
+});
+
+/**
+ * Queue the creation of a chapter from uploaded page images.
+ * Permissions and the chapter number are checked right away; the pages are
+ * uploaded by a worker (CHAPTER_UPLOAD job).
+ * @returns {Promise<object>} The job to poll with GET /api/jobs/:id
+ */
+const queueChapterUpload = async (mangaId, chapterData, files, userId, userRole) => {
+  if (!files || files.length === 0) {
+    throw new AppError('No images provided', 400);
+  }
+
+  const publishOptions = getQueuedPublishOptions(chapterData);
+  await assertCanAddChapter(mangaId, chapterData.chapterNumber, userId, userRole);
+
+  return enqueueJob({
+    type: 'CHAPTER_UPLOAD',
+    userId,
+    payload: {
+      mangaId,
+      userRole,
+      chapterData: {
+        chapterNumber: chapterData.chapterNumber,
+        title: chapterData.title,
+        ...publishOptions,
+      },
+    },
+    files,
+  });
+};
+
+/**
+ * Create a chapter from a ZIP/CBZ archive.
+ * The archive's file list is checked right away (so bad input fails the request);
+ * extracting the pages, uploading them and creating the chapter run as a
+ * CHAPTER_ARCHIVE_IMPORT job.
+ * @returns {Promise<object>} The job to poll with GET /api/jobs/:id
+ */
+const importChapterArchive = async (mangaId, chapterData, archive, userId, userRole) => {
+  if (!archive) {
+    throw new AppError('No archive provided', 400);
+  }
+
+  const publishOptions = getQueuedPublishOptions(chapterData);
+  await assertCanAddChapter(mangaId, chapterData.chapterNumber, userId, userRole);
+
+  // Only the central directory is read here; the worker inflates and checks the images
+  await checkChapterArchive(archive.path);
+
+  return enqueueJob({
+    type: 'CHAPTER_ARCHIVE_IMPORT',
+    userId,
+    payload: {
+      mangaId,
+      userRole,
+      chapterData: {
+        chapterNumber: chapterData.chapterNumber,
+        title: chapterData.title,
+        ...publishOptions,
+      },
+    },
+    files: [archive],
+  });
+};
+
+/**
+ * Create and overwrite the imported chapters in one transaction
+ * @param {Map} existingByNumber - Chapters of the manga that are overwritten, by number
+ * @returns {Promise<Array<object>>} Saved chapters, in the order of `imports`
+ */
+const saveImportedChapters = async (manga, imports, existingByNumber, { status, publishedAt }) => {
+  const now = new Date();
+  const isPublished = status === 'PUBLISHED';
+
+  const operations = imports.map(({ chapterNumber, title, images }) => {
+    const existing = existingByNumber.get(chapterNumber);
+
+    // Overwriting keeps the chapter (id, status, views, reading history) and replaces its pages
+    if (existing) {
+      return prisma.chapter.update({
+        where: { id: existing.id },
+        data: {
+          title: title || existing.title,
+          images,
+          totalImages: images.length,
+        },
+      });
+    }
+
+    return prisma.chapter.create({
+      data: {
+        mangaId: manga.id,
+        chapterNumber,
+        title: title || `Chapter ${chapterNumber}`,
+        slug: createChapterSlug(manga, chapterNumber),
+        images,
+        totalImages: images.length,
+        status,
+        publishedAt: isPublished ? now : publishedAt,
+      },
+    });
+  });
+
+  const created = imports.filter(({ chapterNumber }) => !existingByNumber.has(chapterNumber)).length;
+
+  if (isPublished && created > 0) {
+    operations.push(prisma.manga.update({
+      where: { id: manga.id },
+      data: {
+        totalChapters: { increment: created },
+        lastChapterAt: now,
+      },
+    }));
+  }
+
+  try {
+    const results = await prisma.$transaction(operations);
+    return results.slice(0, imports.length);
+  } catch (error) {
+    // Another upload added or deleted one of these chapters since the import started
+    if (error.code === 'P2002' || error.code === 'P2025') {
+      throw new AppError('Chapters of this manga changed during the import; nothing was imported', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Import chapter folders extracted from a bulk archive (see openChapterFolders).
+ * Existing chapter numbers are skipped or overwritten according to `policy`.
+ * Pages are uploaded chapter by chapter, then all chapters are saved in one
+ * transaction: either every chapter is imported or none is.
+ * @param {object} options - { policy, publishOptions } applied to new chapters
+ * @param {function} [onProgress] - Called with (uploadedPages, totalPages)
+ * @returns {Promise<object>} Per-chapter report
+ */
+const importChapterFolders = async (mangaId, chapters, { policy, publishOptions }, userId, userRole, onProgress = () => {}) => {
+  const manga = await findMangaForChapters(mangaId, userId, userRole);
+  const { status, publishedAt } = parsePublishOptions(publishOptions);
+
+  const existing = await prisma.chapter.findMany({
+    where: {
+      mangaId,
+      chapterNumber: { in: chapters.map(chapter => chapter.chapterNumber) },
+    },
+    select: { id: true, chapterNumber: true, title: true, images: true },
+  });
+
+  const existingByNumber = new Map(existing.map(chapter => [chapter.chapterNumber, chapter]));
+  const toImport = chapters.filter(chapter => policy === 'overwrite' || !existingByNumber.has(chapter.chapterNumber));
+  const totalPages = toImport.reduce((sum, chapter) => sum + chapter.totalImages, 0);
+
+  onProgress(0, totalPages);
+
+  // One chapter at a time keeps only that chapter's pages in memory
+  const imports = [];
+  let uploadedPages = 0;
+  let saved;
+
+  try {
+    for (const chapter of toImport) {
+      const images = await uploadPages(
+        await chapter.readPages(),
+        pageFolder(mangaId, chapter.chapterNumber),
+        uploaded => onProgress(uploadedPages + uploaded, totalPages)
+      );
+
+      uploadedPages += images.length;
+      imports.push({ ...chapter, images });
+    }
+
+    saved = await saveImportedChapters(manga, imports, existingByNumber, { status, publishedAt });
+  } catch (error) {
+    await deleteUploadedPages(imports.flatMap(chapter => chapter.images));
+    throw error;
+  }
+
+  // Pages replaced by the import are no longer used
+  deleteOrphanedImages(imports.flatMap(({ chapterNumber }) => existingByNumber.get(chapterNumber)?.images || []));
+
+  // One notification for the newest chapter instead of one per imported chapter
+  const newest = saved
+    .filter((chapter, index) => !existingByNumber.has(imports[index].chapterNumber) && chapter.status === 'PUBLISHED')
+    .pop();
+  if (newest) {
+    queueNewChapterNotifications(manga, newest);
+  }
+
+  const savedByNumber = new Map(saved.map(chapter => [chapter.chapterNumber, chapter]));
+
+  const report = chapters.map(({ folder, chapterNumber, totalImages }) => {
+    const chapter = savedByNumber.get(chapterNumber);
+
+    if (!chapter) {
+      return {
+        folder,
+        chapterNumber,
+        action: 'skipped',
+        reason: 'Chapter number already exists',
+        chapterId: existingByNumber.get(chapterNumber).id,
+      };
+    }
+
+    return {
+      folder,
+      chapterNumber,
+      action: existingByNumber.has(chapterNumber) ? 'overwritten' : 'created',
+      chapterId: chapter.id,
+      slug: chapter.slug,
+      title: chapter.title,
+      status: chapter.status,
+      totalImages,
+    };
+  });
+
+  const countAction = action => report.filter(entry => entry.action === action).length;
+
+  return {
+    policy,
+    summary: {
+      total: report.length,
+      created: countAction('created'),
+      overwritten: countAction('overwritten'),
+      skipped: countAction('skipped'),
+    },
+    chapters: report,
+  };
+};
+
+/**
+ * Import many chapters from one ZIP/CBZ archive with a folder per chapter.
+ * Folder names give the chapter number and title ("Chapter 5.5 - Side Story").
+ * The archive layout is checked right away; the import runs as a
+ * CHAPTER_BULK_IMPORT job whose result is the per-chapter report.
+ * @param {object} options - { policy, status, publishedAt } applied to new chapters
+ * @returns {Promise<object>} The job to poll with GET /api/jobs/:id
+ */
+const bulkImportChapters = async (mangaId, options, archive, userId, userRole) => {
+  if (!archive) {
+    throw new AppError('No archive provided', 400);
+  }
+
+  const { policy = 'skip' } = options;
+  if (!IMPORT_POLICIES.includes(policy)) {
+    throw new AppError(`Policy must be one of: ${IMPORT_POLICIES.join(', ')}`, 400);
+  }
+
+  const publishOptions = getQueuedPublishOptions(options);
+  await findMangaForChapters(mangaId, userId, userRole);
+  // Only the central directory is read here; the worker inflates and checks the images
+  await checkChapterFolders(archive.path);
+
+  return enqueueJob({
+    type: 'CHAPTER_BULK_IMPORT',
+    userId,
+    payload: { mangaId, userRole, policy, publishOptions },
+    files: [archive],
+  });
+};
+
+module.exports = {
+  formatChapterResult,
+  uploadPagesAndCreateChapter,
+  queueChapterUpload,
+  importChapterArchive,
+  importChapterFolders,
+  bulkImportChapters,
+};
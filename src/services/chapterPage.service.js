@@ -0,0 +1,223 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  uploadSingleImage,
+  uploadMultiple,
+  deleteImageFromCloud,
+  extractPublicId,
+} = require('./upload.service');
+
+const pageSelect = {
+  id: true,
+  mangaId: true,
+  chapterNumber: true,
+  images: true,
+  totalImages: true,
+};
+
+/**
+ * Load a chapter whose pages the user is about to edit (owner or admin)
+ */
+const findEditableChapter = async (chapterId, userId, userRole) => {
+  const chapter = await prisma.chapter.findUnique({
+    where: { id: chapterId },
+    select: {
+      ...pageSelect,
+      manga: { select: { uploaderId: true } },
+    },
+  });
+
+  if (!chapter) {
+    throw new AppError('Chapter not found', 404);
+  }
+
+  if (chapter.manga.uploaderId !== userId && userRole !== 'ADMIN') {
+    throw new AppError('Not authorized to edit this chapter', 403);
+  }
+
+  return chapter;
+};
+
+const pageFolder = (chapter) => `manga/${chapter.mangaId}/chapter-${chapter.chapterNumber}`;
+
+/**
+ * Change the page list with the chapter row locked, so concurrent edits
+ * are applied one after the other instead of overwriting each other.
+ * @param {function} edit - Receives the current images and returns { images, removed }
+ * @returns {Promise<object>} { chapter, removed }
+ */
+const editPages = async (chapterId, edit) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM chapters WHERE id = ${chapterId} FOR UPDATE`;
+
+    const current = await tx.chapter.findUnique({
+      where: { id: chapterId },
+      select: pageSelect,
+    });
+
+    if (!current) {
+      throw new AppError('Chapter not found', 404);
+    }
+
+    const { images, removed = [] } = edit([...current.images]);
+
+    if (images.length === 0) {
+      throw new AppError('A chapter must keep at least one page', 400);
+    }
+
+    const chapter = await tx.chapter.update({
+      where: { id: chapterId },
+      data: {
+        images,
+        totalImages: images.length,
+      },
+      select: pageSelect,
+    });
+
+    return { chapter, removed };
+  });
+};
+
+/**
+ * Delete images that are no longer used by the chapter from storage.
+ * Runs in the background; a failed delete only leaves an orphaned asset.
+ */
+const deleteOrphanedImages = (urls) => {
+  const publicIds = urls.map(extractPublicId).filter(Boolean);
+
+  if (publicIds.length === 0) return;
+
+  setImmediate(() => {
+    Promise.allSettled(publicIds.map(publicId => deleteImageFromCloud(publicId)))
+      .then(results => {
+        const failed = results.filter(result => result.status === 'rejected');
+        if (failed.length > 0) {
+          console.error(`❌ Failed to delete ${failed.length} orphaned page image(s):`, failed[0].reason.message);
+        }
+      });
+  });
+};
+
+/**
+ * Check that page numbers (1-based) exist in a chapter of `total` pages
+ */
+const assertPagesExist = (pages, total) => {
+  const invalid = pages.filter(page => !Number.isInteger(page) || page < 1 || page > total);
+
+  if (invalid.length > 0) {
+    throw new AppError(`Page ${invalid[0]} does not exist (chapter has ${total} pages)`, 400);
+  }
+};
+
+/**
+ * Upload new pages and insert them before page `position` (default: at the end)
+ */
+const insertPages = async (chapterId, files, position, userId, userRole) => {
+  const chapter = await findEditableChapter(chapterId, userId, userRole);
+
+  if (!files || files.length === 0) {
+    throw new AppError('No images provided', 400);
+  }
+
+  // Upload outside the transaction so the row is not locked during network calls
+  const urls = await uploadMultiple(files, pageFolder(chapter));
+
+  try {
+    const { chapter: updated } = await editPages(chapterId, (images) => {
+      const index = position === undefined
+        ? images.length
+        : Math.min(Math.max(parseInt(position) - 1, 0), images.length);
+
+      images.splice(index, 0, ...urls);
+      return { images };
+    });
+
+    return updated;
+  } catch (error) {
+    // The pages were not saved, so the fresh uploads are orphans
+    deleteOrphanedImages(urls);
+    throw error;
+  }
+};
+
+/**
+ * Replace one page with a new upload
+ */
+const replacePage = async (chapterId, page, file, userId, userRole) => {
+  const chapter = await findEditableChapter(chapterId, userId, userRole);
+  const pageNumber = parseInt(page);
+
+  assertPagesExist([pageNumber], chapter.images.length);
+
+  const { url } = await uploadSingleImage(file, pageFolder(chapter));
+
+  try {
+    const { chapter: updated, removed } = await editPages(chapterId, (images) => {
+      // Re-check under the lock: pages may have been removed meanwhile
+      assertPagesExist([pageNumber], images.length);
+
+      const [previous] = images.splice(pageNumber - 1, 1, url);
+      return { images, removed: [previous] };
+    });
+
+    deleteOrphanedImages(removed);
+    return updated;
+  } catch (error) {
+    deleteOrphanedImages([url]);
+    throw error;
+  }
+};
+
+/**
+ * Remove pages (1-based page numbers)
+ */
+const deletePages = async (chapterId, pages, userId, userRole) => {
+  await findEditableChapter(chapterId, userId, userRole);
+
+  const pageNumbers = [...new Set(pages.map(page => parseInt(page)))];
+
+  const { chapter, removed } = await editPages(chapterId, (images) => {
+    assertPagesExist(pageNumbers, images.length);
+
+    const removedPages = new Set(pageNumbers);
+    return {
+      images: images.filter((_, index) => !removedPages.has(index + 1)),
+      removed: images.filter((_, index) => removedPages.has(index + 1)),
+    };
+  });
+
+  deleteOrphanedImages(removed);
+  return chapter;
+};
+
+/**
+ * Reorder pages. `order` lists every current page number in its new position,
+ * e.g. [2, 1, 3] swaps the first two pages.
+ */
+const reorderPages = async (chapterId, order, userId, userRole) => {
+  await findEditableChapter(chapterId, userId, userRole);
+
+  const pageNumbers = order.map(page => parseInt(page));
+
+  const { chapter } = await editPages(chapterId, (images) => {
+    const isPermutation = pageNumbers.length === images.length
+      && new Set(pageNumbers).size === images.length
+      && pageNumbers.every(page => page >= 1 && page <= images.length);
+
+    if (!isPermutation) {
+      throw new AppError(`Order must list each page from 1 to ${images.length} exactly once`, 400);
+    }
+
+    return { images: pageNumbers.map(page => images[page - 1]) };
+  });
+
+  return chapter;
+};
+
+module.exports = {
+  insertPages,
+  replacePage,
+  deletePages,
+  reorderPages,
+  deleteOrphanedImages,
+};
@@ -0,0 +1,324 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Statuses whose content is no longer shown but which stay in the tree
+// so that replies keep their place in the thread
+const MASKED_STATUSES = ['DELETED', 'HIDDEN'];
+
+const commentUserSelect = {
+  select: { id: true, username: true, avatar: true },
+};
+
+/**
+ * Hide content and author of deleted/hidden comments
+ */
+const formatComment = (comment) => {
+  const { _count, replies, ...rest } = comment;
+
+  const formatted = {
+    ...rest,
+    totalReplies: _count?.replies || 0,
+  };
+
+  if (MASKED_STATUSES.includes(comment.status)) {
+    formatted.content = null;
+    formatted.user = null;
+    formatted.userId = null;
+  }
+
+  if (replies) {
+    formatted.replies = replies.map(formatComment);
+  }
+
+  return formatted;
+};
+
+/**
+ * Get manga or throw 404
+ */
+const findMangaOrFail = async (mangaId) => {
+  const manga = await prisma.manga.findUnique({
+    where: { id: mangaId },
+    select: { id: true, approvalStatus: true },
+  });
+
+  if (!manga) {
+    throw new AppError('Manga not found', 404);
+  }
+
+  return manga;
+};
+
+/**
+ * Get comment belonging to a manga or throw 404
+ */
+const findCommentOrFail = async (mangaId, commentId) => {
+  const comment = await prisma.comment.findUnique({
+    where: { id: commentId },
+  });
+
+  if (!comment || comment.mangaId !== mangaId) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  return comment;
+};
+
+/**
+ * Get top-level comments of a manga with the first page of replies
+ */
+const getComments = async (mangaId, options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    replyLimit = 3,
+    sortBy = 'createdAt',
+    order = 'desc',
+  } = options;
+
+  await findMangaOrFail(mangaId);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = { mangaId, parentId: null };
+
+  const [total, comments] = await Promise.all([
+    prisma.comment.count({ where }),
+    prisma.comment.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: order }, { id: order }],
+      include: {
+        user: commentUserSelect,
+        _count: { select: { replies: true } },
+        replies: {
+          take: parseInt(replyLimit),
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+          include: {
+            user: commentUserSelect,
+            _count: { select: { replies: true } },
+          },
+        },
+      },
+    }),
+  ]);
+
+  return {
+    data: comments.map(formatComment),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Get paginated replies of a comment (one level down)
+ */
+const getReplies = async (mangaId, commentId, options = {}) => {
+  const { page = 1, limit = 20, replyLimit = 3 } = options;
+
+  await findCommentOrFail(mangaId, commentId);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = { parentId: commentId };
+
+  const [total, replies] = await Promise.all([
+    prisma.comment.count({ where }),
+    prisma.comment.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: {
+        user: commentUserSelect,
+        _count: { select: { replies: true } },
+        replies: {
+          take: parseInt(replyLimit),
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+          include: {
+            user: commentUserSelect,
+            _count: { select: { replies: true } },
+          },
+        },
+      },
+    }),
+  ]);
+
+  return {
+    data: replies.map(formatComment),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Create comment or reply
+ */
+const createComment = async (userId, mangaId, commentData) => {
+  const { content, parentId } = commentData;
+
+  const manga = await findMangaOrFail(mangaId);
+
+  if (manga.approvalStatus !== 'APPROVED') {
+    throw new AppError('Cannot comment on a manga that is not approved', 400);
+  }
+
+  if (parentId) {
+    const parent = await findCommentOrFail(mangaId, parentId);
+
+    if (MASKED_STATUSES.includes(parent.status)) {
+      throw new AppError('Cannot reply to a removed comment', 400);
+    }
+  }
+
+  const comment = await prisma.comment.create({
+    data: {
+      userId,
+      mangaId,
+      parentId: parentId || null,
+      content: content.trim(),
+    },
+    include: {
+      user: commentUserSelect,
+      _count: { select: { replies: true } },
+    },
+  });
+
+  return formatComment(comment);
+};
+
+/**
+ * Edit comment content (author only)
+ */
+const updateComment = async (userId, mangaId, commentId, updateData) => {
+  const comment = await findCommentOrFail(mangaId, commentId);
+
+  if (comment.userId !== userId) {
+    throw new AppError('Not authorized to edit this comment', 403);
+  }
+
+  if (MASKED_STATUSES.includes(comment.status)) {
+    throw new AppError('Cannot edit a removed comment', 400);
+  }
+
+  const updatedComment = await prisma.comment.update({
+    where: { id: commentId },
+    data: { content: updateData.content.trim() },
+    include: {
+      user: commentUserSelect,
+      _count: { select: { replies: true } },
+    },
+  });
+
+  return formatComment(updatedComment);
+};
+
+/**
+ * Soft delete comment (author or ADMIN)
+ */
+const deleteComment = async (userId, userRole, mangaId, commentId) => {
+  const comment = await findCommentOrFail(mangaId, commentId);
+
+  if (comment.userId !== userId && userRole !== 'ADMIN') {
+    throw new AppError('Not authorized to delete this comment', 403);
+  }
+
+  if (comment.status === 'DELETED') {
+    throw new AppError('Comment already deleted', 400);
+  }
+
+  await prisma.comment.update({
+    where: { id: commentId },
+    data: { status: 'DELETED' },
+  });
+
+  return true;
+};
+
+/**
+ * Like or dislike a comment.
+ * Sending the same reaction again removes it, sending the opposite one switches it.
+ * Counters on the comment are updated in the same transaction as the CommentLike row.
+ */
+const reactToComment = async (userId, mangaId, commentId, type) => {
+  const comment = await findCommentOrFail(mangaId, commentId);
+
+  if (MASKED_STATUSES.includes(comment.status)) {
+    throw new AppError('Cannot react to a removed comment', 400);
+  }
+
+  const counterField = {
+    LIKE: 'totalLikes',
+    DISLIKE: 'totalDislikes',
+  };
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.commentLike.findUnique({
+      where: {
+        userId_commentId: {
+          userId,
+          commentId,
+        },
+      },
+    });
+
+    let action;
+    let counters;
+
+    if (!existing) {
+      await tx.commentLike.create({
+        data: { userId, commentId, type },
+      });
+      counters = { [counterField[type]]: { increment: 1 } };
+      action = 'added';
+    } else if (existing.type === type) {
+      await tx.commentLike.delete({
+        where: { id: existing.id },
+      });
+      counters = { [counterField[type]]: { decrement: 1 } };
+      action = 'removed';
+    } else {
+      await tx.commentLike.update({
+        where: { id: existing.id },
+        data: { type },
+      });
+      counters = {
+        [counterField[type]]: { increment: 1 },
+        [counterField[existing.type]]: { decrement: 1 },
+      };
+      action = 'switched';
+    }
+
+    const updatedComment = await tx.comment.update({
+      where: { id: commentId },
+      data: counters,
+      select: { totalLikes: true, totalDislikes: true },
+    });
+
+    return {
+      action,
+      reaction: action === 'removed' ? null : type,
+      ...updatedComment,
+    };
+  });
+};
+
+module.exports = {
+  getComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  reactToComment,
+};
@@ -1,5 +1,16 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
+const {
+  buildMangaListWhere,
+  buildMangaListOrderBy,
+  buildMangaListSortKeys,
+} = require('./manga.service');
+const {
+  isCursorMode,
+  buildCursorQuery,
+  withCursorWhere,
+  buildCursorPage,
+} = require('../utils/pagination.util');
 
 /**
  * Get all genres
@@ -42,7 +53,7 @@ const getGenreBySlug = async (slug) => {
 };
 
 /**
- * Get manga by genre
+ * Get manga by genre (page or cursor pagination, see getMangaList)
  */
 const getMangaByGenre = async (slug, options = {}) => {
   const { page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = options;
@@ -58,22 +69,32 @@ const getMangaByGenre = async (slug, options = {}) => {
     throw new AppError('Genre not found', 404);
   }
 
-  const where = {
-    approvalStatus: 'APPROVED',
-    genres: {
-      some: {
-        genreId: genre.id,
-      },
-    },
-  };
+  // Same filters as the manga list, restricted to this genre
+  const where = buildMangaListWhere(options);
+  where.AND = [
+    ...(where.AND || []),
+    { genres: { some: { genreId: genre.id } } },
+  ];
+
+  const cursorMode = isCursorMode(options);
+  const sortKeys = cursorMode ? buildMangaListSortKeys(sortBy, order) : null;
+
+  let pageQuery;
+  if (cursorMode) {
+    const cursorQuery = buildCursorQuery(sortKeys, options.cursor, take);
+    pageQuery = {
+      where: withCursorWhere(where, cursorQuery.where),
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    };
+  } else {
+    pageQuery = { where, skip, take, orderBy: buildMangaListOrderBy(sortBy, order) };
+  }
 
   const [total, manga] = await Promise.all([
-    prisma.manga.count({ where }),
+    cursorMode ? null : prisma.manga.count({ where }),
     prisma.manga.findMany({
-      where,
-      skip,
-      take,
-      orderBy: { [sortBy]: order },
+      ...pageQuery,
       include: {
         authors: {
           include: {
@@ -99,11 +120,18 @@ const getMangaByGenre = async (slug, options = {}) => {
     }),
   ]);
 
-  const formattedManga = manga.map(m => ({
+  const formatManga = (m) => ({
     ...m,
     authors: m.authors.map(a => a.author),
     genres: m.genres.map(g => g.genre),
-  }));
+  });
+
+  if (cursorMode) {
+    const { items, pagination } = buildCursorPage(manga, sortKeys, take);
+    return { genre, manga: items.map(formatManga), pagination };
+  }
+
+  const formattedManga = manga.map(formatManga);
 
   return {
     genre,
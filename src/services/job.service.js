@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const prisma = require('../config/database');
+const { Prisma } = require('../../generated/prisma');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Uploaded files are written here for the worker; a separate worker process must share this directory
+const JOB_FILES_DIR = process.env.JOB_FILES_DIR || path.join(process.cwd(), 'tmp', 'jobs');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+// Retry delays double after each failed attempt: 30s, 1m, 2m, ... capped at 1 hour
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 30 * 1000;
+const JOB_MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Public view of a job
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: {
+    processed: job.processed,
+    total: job.total,
+  },
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  runAt: job.runAt,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Move a file, copying it when the target is on another filesystem
+ */
+const moveFile = async (from, to) => {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+
+    await fs.copyFile(from, to);
+    await fs.rm(from, { force: true });
+  }
+};
+
+/**
+ * Write uploaded files to disk so any worker can read them later.
+ * Files Multer already stored on disk are moved instead of copied into memory.
+ * @returns {Promise<Array<object>>} { path, originalname, mimetype, size }
+ */
+const stageFiles = async (files) => {
+  const dir = path.join(JOB_FILES_DIR, crypto.randomUUID());
+  await fs.mkdir(dir, { recursive: true });
+
+  return Promise.all(files.map(async (file, index) => {
+    const filePath = path.join(dir, `${index}${path.extname(file.originalname)}`);
+    if (file.path) {
+      await moveFile(file.path, filePath);
+    } else {
+      await fs.writeFile(filePath, file.buffer);
+    }
+
+    return {
+      path: filePath,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+    };
+  }));
+};
+
+/**
+ * The staged files of a job as Multer-like disk files ({ path, originalname, mimetype, size });
+ * handlers read them from disk as needed instead of loading every file into memory
+ */
+const loadJobFiles = async (job) => {
+  return (job.files || []).map(file => ({
+    path: file.path,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+};
+
+/**
+ * Delete the staged files of a finished job
+ */
+const removeJobFiles = async (job) => {
+  if (!job.files || job.files.length === 0) return;
+
+  await fs.rm(path.dirname(job.files[0].path), { recursive: true, force: true })
+    .catch(error => {
+      console.error(`❌ Failed to remove files of job ${job.id}:`, error.message);
+    });
+};
+
+/**
+ * Queue a job. It runs on the next free worker; see src/queue for handlers.
+ * @param {object} options - { type, userId, payload, files, maxAttempts }
+ * @param {Array<object>} [options.files] - Multer files the handler needs (staged on disk)
+ * @returns {Promise<object>} The job (status QUEUED)
+ */
+const enqueueJob = async ({ type, userId = null, payload = {}, files = [], maxAttempts = JOB_MAX_ATTEMPTS }) => {
+  const staged = files.length > 0 ? await stageFiles(files) : null;
+
+  try {
+    const job = await prisma.job.create({
+      data: {
+        type,
+        userId,
+        payload,
+        files: staged ?? Prisma.DbNull,
+        maxAttempts,
+      },
+    });
+
+    return formatJob(job);
+  } catch (error) {
+    await removeJobFiles({ files: staged });
+    throw error;
+  }
+};
+
+/**
+ * Get a job; users only see their own jobs, admins see all
+ */
+const getJob = async (jobId, userId, userRole) => {
+  const job = await prisma.job.findUnique({
+    where: { id: jobId },
+  });
+
+  if (!job || (job.userId !== userId && userRole !== 'ADMIN')) {
+    throw new AppError('Job not found', 404);
+  }
+
+  return formatJob(job);
+};
+
+/**
+ * Claim the next due job of the given types for a worker.
+ * SKIP LOCKED lets several workers poll the table without taking the same job.
+ * @returns {Promise<object|null>} The claimed job (status RUNNING), or null if none is due
+ */
+const claimJob = async (workerId, types) => {
+  const [job] = await prisma.$queryRaw`
+    UPDATE jobs
+    SET status = 'RUNNING'::"JobStatus",
+        attempts = attempts + 1,
+        "lockedAt" = NOW(),
+        "lockedBy" = ${workerId},
+        "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'QUEUED'::"JobStatus"
+        AND "runAt" <= NOW()
+        AND type IN (${Prisma.join(types)})
+      ORDER BY "runAt" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  return job || null;
+};
+
+// Updates only apply while this worker still holds the job (it may have been re-queued as stale)
+const lockedBy = (job, workerId) => ({
+  id: job.id,
+  status: 'RUNNING',
+  lockedBy: workerId,
+});
+
+/**
+ * Save progress; also refreshes the lock so the job is not taken for stale
+ */
+const updateJobProgress = async (job, workerId, processed, total) => {
+  await prisma.job.updateMany({
+    where: lockedBy(job, workerId),
+    data: {
+      processed,
+      total,
+      lockedAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Refresh the lock of a running job
+ */
+const touchJob = async (job, workerId) => {
+  await prisma.job.updateMany({
+    where: lockedBy(job, workerId),
+    data: { lockedAt: new Date() },
+  });
+};
+
+/**
+ * Mark a job completed with its result
+ */
+const completeJob = async (job, workerId, result) => {
+  await prisma.job.updateMany({
+    where: lockedBy(job, workerId),
+    data: {
+      status: 'COMPLETED',
+      result: result ?? Prisma.DbNull,
+      error: null,
+      lockedAt: null,
+      lockedBy: null,
+      finishedAt: new Date(),
+    },
+  });
+
+  await removeJobFiles(job);
+};
+
+/**
+ * Delay before the next attempt, doubling after each failure
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(JOB_RETRY_DELAY_MS * 2 ** (attempts - 1), JOB_MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Record a failed attempt. Client errors (bad input, missing manga) fail the job
+ * right away; other errors are retried with backoff until maxAttempts is reached.
+ * @returns {Promise<boolean>} true if the job will be retried
+ */
+const failJob = async (job, workerId, error) => {
+  const isClientError = error.statusCode >= 400 && error.statusCode < 500;
+  const retry = !isClientError && job.attempts < job.maxAttempts;
+
+  await prisma.job.updateMany({
+    where: lockedBy(job, workerId),
+    data: retry
+      ? {
+        status: 'QUEUED',
+        error: error.message,
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        lockedAt: null,
+        lockedBy: null,
+      }
+      : {
+        status: 'FAILED',
+        error: error.message,
+        lockedAt: null,
+        lockedBy: null,
+        finishedAt: new Date(),
+      },
+  });
+
+  if (!retry) {
+    await removeJobFiles(job);
+  }
+
+  return retry;
+};
+
+/**
+ * Re-queue jobs whose worker stopped without finishing them
+ * (lock not refreshed for `lockTimeoutMs`); jobs out of attempts fail.
+ * @returns {Promise<number>} Number of stale jobs found
+ */
+const recoverStaleJobs = async (lockTimeoutMs) => {
+  const stale = await prisma.job.findMany({
+    where: {
+      status: 'RUNNING',
+      lockedAt: { lt: new Date(Date.now() - lockTimeoutMs) },
+    },
+  });
+
+  for (const job of stale) {
+    const retry = job.attempts < job.maxAttempts;
+
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, status: 'RUNNING', lockedAt: job.lockedAt },
+      data: retry
+        ? { status: 'QUEUED', runAt: new Date(), lockedAt: null, lockedBy: null }
+        : {
+          status: 'FAILED',
+          error: 'The worker stopped while running the job',
+          lockedAt: null,
+          lockedBy: null,
+          finishedAt: new Date(),
+        },
+    });
+
+    if (count > 0 && !retry) {
+      await removeJobFiles(job);
+    }
+  }
+
+  return stale.length;
+};
+
+/**
+ * Delete COMPLETED and FAILED jobs that finished more than `retentionMs` ago
+ * (their staged files were already removed when they finished)
+ * @returns {Promise<number>} Number of deleted jobs
+ */
+const pruneFinishedJobs = async (retentionMs) => {
+  const { count } = await prisma.job.deleteMany({
+    where: {
+      status: { in: ['COMPLETED', 'FAILED'] },
+      finishedAt: { lt: new Date(Date.now() - retentionMs) },
+    },
+  });
+
+  return count;
+};
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  claimJob,
+  loadJobFiles,
+  updateJobProgress,
+  touchJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  pruneFinishedJobs,
+};
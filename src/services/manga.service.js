@@ -1,65 +1,205 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
 const { createSlug } = require('../utils/slugify.util');
-const { uploadSingleImage } = require('./upload.service');
+const { uploadSingleImage, deleteImageFromCloud, extractPublicId } = require('./upload.service');
+const { enqueueJob } = require('./job.service');
+const { createNotification } = require('./notification.service');
+const { clearSimilarMangaCache } = require('./similar.service');
+const { buildSearchFields, normalizeSearchText } = require('../utils/search.util');
+const {
+  isCursorMode,
+  buildSortKeys,
+  buildCursorQuery,
+  withCursorWhere,
+  buildCursorPage,
+} = require('../utils/pagination.util');
 
 /**
- * Get manga list with filters and pagination
+ * Parse a list field sent as an array, a JSON array string or a comma-separated string
  */
-const getMangaList = async (filters) => {
+const parseToArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    // Try JSON parse first
+    if (value.trim().startsWith('[')) {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return [];
+      }
+    }
+    // Otherwise split by comma
+    return value.split(',').map(v => v.trim()).filter(v => v);
+  }
+  return [];
+};
+
+const MANGA_STATUSES = ['ONGOING', 'COMPLETED', 'HIATUS', 'CANCELLED'];
+
+/**
+ * Read a list query param: repeated (?genres=a&genres=b) or comma-separated (?genres=a,b)
+ */
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(
+    values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean)
+  )];
+};
+
+/**
+ * Build the Prisma where clause shared by the manga list endpoints
+ * @param {object} filters - search, status, genre, genres, excludeGenres, genreMode,
+ *   author, yearFrom, yearTo, minRating, minChapters
+ * @returns {object} Prisma where clause (approved manga only)
+ */
+const buildMangaListWhere = (filters = {}) => {
   const {
-    page = 1,
-    limit = 20,
     search,
-    status,
-    genre,
     author,
-    sortBy = 'createdAt',
-    order = 'desc',
+    genreMode = 'and',
+    yearFrom,
+    yearTo,
+    minRating,
+    minChapters,
   } = filters;
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const take = parseInt(limit);
-
-  // Build where clause
   const where = {
     approvalStatus: 'APPROVED',
   };
+  const conditions = [];
 
   if (search) {
     where.OR = [
       { title: { contains: search, mode: 'insensitive' } },
       { alternativeTitles: { has: search } },
+      // Accent-insensitive match on title, alternative titles and authors
+      { searchTitle: { contains: normalizeSearchText(search) } },
     ];
   }
 
-  if (status) {
-    where.status = status;
+  const statuses = parseListParam(filters.status);
+  if (statuses.length > 0) {
+    where.status = { in: statuses };
   }
 
-  if (genre) {
-    where.genres = {
-      some: {
-        genre: { slug: genre },
-      },
-    };
+  // "genre" (single slug) is kept for older clients
+  const includedGenres = parseListParam([
+    ...parseListParam(filters.genre),
+    ...parseListParam(filters.genres),
+  ]);
+  const excludedGenres = parseListParam(filters.excludeGenres);
+
+  if (includedGenres.length > 0) {
+    if (genreMode === 'or') {
+      conditions.push({
+        genres: { some: { genre: { slug: { in: includedGenres } } } },
+      });
+    } else {
+      includedGenres.forEach(slug => {
+        conditions.push({
+          genres: { some: { genre: { slug } } },
+        });
+      });
+    }
+  }
+
+  if (excludedGenres.length > 0) {
+    conditions.push({
+      genres: { none: { genre: { slug: { in: excludedGenres } } } },
+    });
   }
 
   if (author) {
-    where.authors = {
-      some: {
-        author: { slug: author },
-      },
+    conditions.push({
+      authors: { some: { author: { slug: author } } },
+    });
+  }
+
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    where.releaseYear = {
+      ...(yearFrom !== undefined && { gte: parseInt(yearFrom) }),
+      ...(yearTo !== undefined && { lte: parseInt(yearTo) }),
+    };
+  }
+
+  if (minRating !== undefined) {
+    where.averageRating = { gte: parseFloat(minRating) };
+  }
+
+  if (minChapters !== undefined) {
+    where.totalChapters = { gte: parseInt(minChapters) };
+  }
+
+  if (conditions.length > 0) {
+    where.AND = conditions;
+  }
+
+  return where;
+};
+
+/**
+ * Order clause for manga lists
+ */
+const buildMangaListOrderBy = (sortBy = 'createdAt', order = 'desc') => {
+  // Break rating ties by number of ratings so a single 5-star vote doesn't top the list
+  return sortBy === 'averageRating'
+    ? [{ averageRating: order }, { totalRatings: order }]
+    : { [sortBy]: order };
+};
+
+/**
+ * Sort keys for cursor pagination of manga lists (same order as buildMangaListOrderBy)
+ */
+const buildMangaListSortKeys = (sortBy = 'createdAt', order = 'desc') => {
+  if (sortBy === 'averageRating') {
+    return buildSortKeys(['averageRating', 'totalRatings'], order);
+  }
+
+  if (sortBy === 'lastChapterAt') {
+    return buildSortKeys([{ field: 'lastChapterAt', nullable: true }], order);
+  }
+
+  return buildSortKeys([sortBy], order);
+};
+
+/**
+ * Get manga list with filters and pagination.
+ * Passing `cursor` switches to keyset pagination (stable while new manga are added).
+ */
+const getMangaList = async (filters) => {
+  const {
+    page = 1,
+    limit = 20,
+    sortBy = 'createdAt',
+    order = 'desc',
+  } = filters;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = buildMangaListWhere(filters);
+  const cursorMode = isCursorMode(filters);
+  const sortKeys = cursorMode ? buildMangaListSortKeys(sortBy, order) : null;
+
+  let pageQuery;
+  if (cursorMode) {
+    const cursorQuery = buildCursorQuery(sortKeys, filters.cursor, take);
+    pageQuery = {
+      where: withCursorWhere(where, cursorQuery.where),
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
     };
+  } else {
+    pageQuery = { where, skip, take, orderBy: buildMangaListOrderBy(sortBy, order) };
   }
 
   const [total, manga] = await Promise.all([
-    prisma.manga.count({ where }),
+    // Cursor pages have no page numbers, so no total is needed
+    cursorMode ? null : prisma.manga.count({ where }),
     prisma.manga.findMany({
-      where,
-      skip,
-      take,
-      orderBy: { [sortBy]: order },
+      ...pageQuery,
       include: {
         authors: {
           include: {
@@ -86,12 +226,19 @@ const getMangaList = async (filters) => {
     }),
   ]);
 
-  // Format response
-  const formattedManga = manga.map(m => ({
+  const formatManga = (m) => ({
     ...m,
     authors: m.authors.map(a => a.author),
     genres: m.genres.map(g => g.genre),
-  }));
+  });
+
+  if (cursorMode) {
+    const { items, pagination } = buildCursorPage(manga, sortKeys, take);
+    return { data: items.map(formatManga), pagination };
+  }
+
+  // Format response
+  const formattedManga = manga.map(formatManga);
 
   return {
     data: formattedManga,
@@ -158,46 +305,6 @@ const getMangaBySlug = async (slug) => {
   return formattedManga;
 };
 
-/**
- * Get trending manga
- */
-const getTrendingManga = async (limit = 10) => {
-  const manga = await prisma.manga.findMany({
-    where: {
-      approvalStatus: 'APPROVED',
-    },
-    take: parseInt(limit),
-    orderBy: [
-      { totalViews: 'desc' },
-      { averageRating: 'desc' },
-    ],
-    include: {
-      authors: {
-        include: {
-          author: {
-            select: { id: true, name: true, slug: true },
-          },
-        },
-      },
-      genres: {
-        include: {
-          genre: {
-            select: { id: true, name: true, slug: true },
-          },
-        },
-      },
-    },
-  });
-
-  const formattedManga = manga.map(m => ({
-    ...m,
-    authors: m.authors.map(a => a.author),
-    genres: m.genres.map(g => g.genre),
-  }));
-
-  return formattedManga;
-};
-
 /**
  * Get recently updated manga
  */
@@ -224,7 +331,9 @@ const getRecentManga = async (limit = 20) => {
           },
         },
       },
+      // Drafts have no or a future publishedAt and must not show as the latest chapter
       chapters: {
+        where: { status: 'PUBLISHED' },
         take: 1,
         orderBy: { publishedAt: 'desc' },
         select: {
@@ -247,6 +356,21 @@ const getRecentManga = async (limit = 20) => {
   return formattedManga;
 };
 
+/**
+ * Nested create operations linking a manga to genres by name (genres are created if missing)
+ */
+const buildGenreOperations = (genreNames) => genreNames.map(name => ({
+  genre: {
+    connectOrCreate: {
+      where: { name },
+      create: {
+        name,
+        slug: createSlug(name),
+      },
+    },
+  },
+}));
+
 /**
  * Create new manga
  */
@@ -261,29 +385,17 @@ const createManga = async (mangaData, files, userId, userRole) => {
     genreNames,
   } = mangaData;
 
-  let thumbnail = mangaData.thumbnail;
-  let coverImage = mangaData.coverImage;
+  const { thumbnail, coverImage } = mangaData;
 
-  // Upload thumbnail if file provided
-  if (files?.thumbnail) {
-    const result = await uploadSingleImage(files.thumbnail[0], 'manga/covers');
-    thumbnail = result.url;
-  }
-
-  // Upload cover if file provided
-  if (files?.coverImage) {
-    const result = await uploadSingleImage(files.coverImage[0], 'manga/covers');
-    coverImage = result.url;
-  }
+  // Uploaded thumbnail/cover files are sent to storage by a worker once the manga exists
+  const imageFields = ['thumbnail', 'coverImage'].filter(field => files?.[field]);
 
   const slug = createSlug(title);
 
-  // Parse arrays if they're strings
-  const authorsArray = typeof authorNames === 'string' ? JSON.parse(authorNames) : authorNames;
-  const genresArray = typeof genreNames === 'string' ? JSON.parse(genreNames) : genreNames;
-  const altTitlesArray = alternativeTitles 
-    ? (typeof alternativeTitles === 'string' ? JSON.parse(alternativeTitles) : alternativeTitles)
-    : [];
+  // Parse arrays if they're strings (support both JSON array and comma-separated)
+  const authorsArray = parseToArray(authorNames);
+  const genresArray = parseToArray(genreNames);
+  const altTitlesArray = parseToArray(alternativeTitles);
 
   // Create or connect authors
   const authorOperations = authorsArray.map(name => ({
@@ -299,17 +411,7 @@ const createManga = async (mangaData, files, userId, userRole) => {
   }));
 
   // Create or connect genres
-  const genreOperations = genresArray.map(name => ({
-    genre: {
-      connectOrCreate: {
-        where: { name },
-        create: {
-          name,
-          slug: createSlug(name),
-        },
-      },
-    },
-  }));
+  const genreOperations = buildGenreOperations(genresArray);
 
   // Create manga
   const manga = await prisma.manga.create({
@@ -324,6 +426,12 @@ const createManga = async (mangaData, files, userId, userRole) => {
       releaseYear: releaseYear ? parseInt(releaseYear) : null,
       approvalStatus: userRole === 'ADMIN' ? 'APPROVED' : 'PENDING',
       uploaderId: userId,
+      ...buildSearchFields({
+        title,
+        alternativeTitles: altTitlesArray,
+        description,
+        authorNames: authorsArray,
+      }),
       authors: {
         create: authorOperations,
       },
@@ -345,18 +453,86 @@ const createManga = async (mangaData, files, userId, userRole) => {
     },
   });
 
+  let imageJob = null;
+
+  if (imageFields.length > 0) {
+    try {
+      imageJob = await enqueueJob({
+        type: 'MANGA_IMAGES_UPLOAD',
+        userId,
+        payload: { mangaId: manga.id, fields: imageFields },
+        files: imageFields.map(field => files[field][0]),
+      });
+    } catch (error) {
+      // Without the job the images would never arrive; let the uploader retry from scratch
+      await prisma.manga.delete({ where: { id: manga.id } });
+      throw error;
+    }
+  }
+
   return {
     manga,
+    imageJob,
     message: userRole === 'ADMIN' ? 'Manga created successfully' : 'Manga submitted for approval',
   };
 };
 
+/**
+ * Upload thumbnail/cover files and set them on the manga
+ * @param {Array<object>} images - { field: 'thumbnail' | 'coverImage', file }
+ * @param {function} [onProgress] - Called with the number of uploaded images
+ * @returns {Promise<object>} The updated manga
+ */
+const uploadMangaImages = async (mangaId, images, onProgress) => {
+  const data = {};
+
+  try {
+    for (const { field, file } of images) {
+      const { url } = await uploadSingleImage(file, 'manga/covers');
+      data[field] = url;
+      if (onProgress) onProgress(Object.keys(data).length);
+    }
+
+    return await prisma.manga.update({
+      where: { id: mangaId },
+      data,
+    });
+  } catch (error) {
+    await Promise.allSettled(
+      Object.values(data).map(extractPublicId).filter(Boolean).map(publicId => deleteImageFromCloud(publicId))
+    );
+
+    // The manga was deleted before its images were uploaded
+    if (error.code === 'P2025') {
+      throw new AppError('Manga not found', 404);
+    }
+    throw error;
+  }
+};
+
+// Fields an uploader may change with PUT /api/manga/:id
+const EDITABLE_MANGA_FIELDS = [
+  'title',
+  'alternativeTitles',
+  'description',
+  'thumbnail',
+  'coverImage',
+  'status',
+  'releaseYear',
+  'genreNames',
+];
+
 /**
  * Update manga
  */
 const updateManga = async (mangaId, updateData, userId, userRole) => {
   const manga = await prisma.manga.findUnique({
     where: { id: mangaId },
+    include: {
+      authors: {
+        select: { author: { select: { name: true } } },
+      },
+    },
   });
 
   if (!manga) {
@@ -368,11 +544,53 @@ const updateManga = async (mangaId, updateData, userId, userRole) => {
     throw new AppError('Not authorized to update this manga', 403);
   }
 
+  // Only details the uploader owns; approval fields, counters and search columns are managed elsewhere
+  const data = {};
+  for (const field of EDITABLE_MANGA_FIELDS) {
+    if (updateData[field] !== undefined) {
+      data[field] = updateData[field];
+    }
+  }
+
+  if (data.alternativeTitles !== undefined) {
+    data.alternativeTitles = parseToArray(data.alternativeTitles);
+  }
+
+  // genreNames replaces the whole genre list
+  const { genreNames } = data;
+  delete data.genreNames;
+
+  if (genreNames !== undefined) {
+    data.genres = {
+      deleteMany: {},
+      create: buildGenreOperations(parseToArray(genreNames)),
+    };
+  }
+
+  // Keep the search columns in sync with the searchable fields
+  if (['title', 'alternativeTitles', 'description'].some(field => data[field] !== undefined)) {
+    Object.assign(data, buildSearchFields({
+      title: data.title ?? manga.title,
+      alternativeTitles: data.alternativeTitles ?? manga.alternativeTitles,
+      description: data.description !== undefined ? data.description : manga.description,
+      authorNames: manga.authors.map(a => a.author.name),
+    }));
+  }
+
+  // Editing a rejected submission sends it back to the approval queue
+  if (userRole !== 'ADMIN' && manga.approvalStatus === 'REJECTED') {
+    data.approvalStatus = 'PENDING';
+  }
+
   const updatedManga = await prisma.manga.update({
     where: { id: mangaId },
-    data: updateData,
+    data,
   });
 
+  if (genreNames !== undefined) {
+    clearSimilarMangaCache();
+  }
+
   return updatedManga;
 };
 
@@ -468,13 +686,208 @@ const getRandomManga = async (limit = 1) => {
   return formattedManga;
 };
 
+/**
+ * Get manga submissions for the admin approval queue
+ */
+const getApprovalQueue = async (filters = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    approvalStatus = 'PENDING',
+    search,
+    order = 'asc',
+  } = filters;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = { approvalStatus };
+
+  if (search) {
+    where.title = { contains: search, mode: 'insensitive' };
+  }
+
+  const [total, manga] = await Promise.all([
+    prisma.manga.count({ where }),
+    prisma.manga.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ createdAt: order }, { id: order }],
+      include: {
+        uploader: {
+          select: { id: true, username: true, email: true, avatar: true },
+        },
+        reviewedBy: {
+          select: { id: true, username: true },
+        },
+        authors: {
+          include: {
+            author: {
+              select: { id: true, name: true, slug: true },
+            },
+          },
+        },
+        genres: {
+          include: {
+            genre: {
+              select: { id: true, name: true, slug: true },
+            },
+          },
+        },
+        _count: {
+          select: {
+            chapters: true,
+          },
+        },
+      },
+    }),
+  ]);
+
+  const formattedManga = manga.map(m => ({
+    ...m,
+    authors: m.authors.map(a => a.author),
+    genres: m.genres.map(g => g.genre),
+  }));
+
+  return {
+    data: formattedManga,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Set approval status of a manga and notify its uploader
+ */
+const reviewManga = async (mangaId, adminId, approvalStatus, rejectionReason = null) => {
+  const manga = await prisma.manga.findUnique({
+    where: { id: mangaId },
+  });
+
+  if (!manga) {
+    throw new AppError('Manga not found', 404);
+  }
+
+  if (manga.approvalStatus === approvalStatus) {
+    throw new AppError(`Manga is already ${approvalStatus.toLowerCase()}`, 400);
+  }
+
+  const updatedManga = await prisma.manga.update({
+    where: { id: mangaId },
+    data: {
+      approvalStatus,
+      rejectionReason,
+      reviewedById: adminId,
+      reviewedAt: new Date(),
+    },
+  });
+
+  if (manga.uploaderId && manga.uploaderId !== adminId) {
+    const approved = approvalStatus === 'APPROVED';
+
+    await createNotification({
+      userId: manga.uploaderId,
+      mangaId: manga.id,
+      type: approved ? 'MANGA_APPROVED' : 'MANGA_REJECTED',
+      title: approved ? 'Manga approved' : 'Manga rejected',
+      content: approved
+        ? `"${manga.title}" has been approved and is now public`
+        : `"${manga.title}" was rejected: ${rejectionReason}`,
+      link: `/manga/${manga.slug}`,
+    });
+  }
+
+  return updatedManga;
+};
+
+/**
+ * Approve manga submission
+ */
+const approveManga = async (mangaId, adminId) => {
+  return reviewManga(mangaId, adminId, 'APPROVED');
+};
+
+/**
+ * Reject manga submission with a reason
+ */
+const rejectManga = async (mangaId, adminId, reason) => {
+  if (!reason || !reason.trim()) {
+    throw new AppError('Rejection reason is required', 400);
+  }
+
+  return reviewManga(mangaId, adminId, 'REJECTED', reason.trim());
+};
+
+/**
+ * Get manga uploaded by a user with their approval status
+ */
+const getUploaderSubmissions = async (userId, filters = {}) => {
+  const { page = 1, limit = 20, approvalStatus } = filters;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = { uploaderId: userId };
+
+  if (approvalStatus) {
+    where.approvalStatus = approvalStatus;
+  }
+
+  const [total, manga] = await Promise.all([
+    prisma.manga.count({ where }),
+    prisma.manga.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        thumbnail: true,
+        status: true,
+        approvalStatus: true,
+        rejectionReason: true,
+        reviewedAt: true,
+        totalChapters: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+  ]);
+
+  return {
+    data: manga,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
 module.exports = {
+  MANGA_STATUSES,
+  parseListParam,
+  buildMangaListWhere,
+  buildMangaListOrderBy,
+  buildMangaListSortKeys,
   getMangaList,
   getMangaBySlug,
-  getTrendingManga,
   getRecentManga,
   getRandomManga,
   createManga,
+  uploadMangaImages,
   updateManga,
   deleteManga,
+  getApprovalQueue,
+  approveManga,
+  rejectManga,
+  getUploaderSubmissions,
 };
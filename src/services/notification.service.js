@@ -0,0 +1,206 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Number of bookmark rows read and notifications written per round trip
+const FANOUT_BATCH_SIZE = parseInt(process.env.NOTIFICATION_BATCH_SIZE) || 1000;
+
+/**
+ * Yield to the event loop between batches so fan-out never starves requests
+ */
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Create a single notification
+ */
+const createNotification = async ({ userId, mangaId = null, type, title, content, link = null }) => {
+  return prisma.notification.create({
+    data: {
+      userId,
+      mangaId,
+      type,
+      title,
+      content,
+      link,
+    },
+  });
+};
+
+/**
+ * Create NEW_CHAPTER notifications for every user who bookmarked the manga.
+ * Bookmarks are walked with a cursor so memory stays flat for large audiences.
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyNewChapter = async (manga, chapter) => {
+  const title = `${manga.title} - new chapter`;
+  const content = chapter.title
+    ? `${chapter.title} is now available`
+    : `Chapter ${chapter.chapterNumber} is now available`;
+  const link = `/chapters/${chapter.slug}`;
+
+  let cursor;
+  let created = 0;
+
+  while (true) {
+    const bookmarks = await prisma.bookmark.findMany({
+      where: { mangaId: manga.id },
+      select: { id: true, userId: true },
+      orderBy: { id: 'asc' },
+      take: FANOUT_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (bookmarks.length === 0) {
+      break;
+    }
+
+    const result = await prisma.notification.createMany({
+      data: bookmarks.map(bookmark => ({
+        userId: bookmark.userId,
+        mangaId: manga.id,
+        type: 'NEW_CHAPTER',
+        title,
+        content,
+        link,
+      })),
+    });
+
+    created += result.count;
+    cursor = bookmarks[bookmarks.length - 1].id;
+
+    if (bookmarks.length < FANOUT_BATCH_SIZE) {
+      break;
+    }
+
+    await nextTick();
+  }
+
+  return created;
+};
+
+/**
+ * Schedule NEW_CHAPTER fan-out in the background (does not block the caller)
+ */
+const queueNewChapterNotifications = (manga, chapter) => {
+  setImmediate(() => {
+    notifyNewChapter(manga, chapter)
+      .then(count => {
+        if (count > 0) {
+          console.log(`🔔 Sent ${count} NEW_CHAPTER notifications for chapter ${chapter.id}`);
+        }
+      })
+      .catch(error => {
+        console.error(`❌ NEW_CHAPTER fan-out failed for chapter ${chapter.id}:`, error.message);
+      });
+  });
+};
+
+/**
+ * Get user's notifications with pagination
+ */
+const getUserNotifications = async (userId, filters = {}) => {
+  const { page = 1, limit = 20, unreadOnly } = filters;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = { userId };
+  if (unreadOnly === true || unreadOnly === 'true') {
+    where.isRead = false;
+  }
+
+  const [total, notifications] = await Promise.all([
+    prisma.notification.count({ where }),
+    prisma.notification.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      include: {
+        manga: {
+          select: { id: true, title: true, slug: true, thumbnail: true },
+        },
+      },
+    }),
+  ]);
+
+  return {
+    data: notifications,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Count unread notifications
+ */
+const getUnreadCount = async (userId) => {
+  const count = await prisma.notification.count({
+    where: { userId, isRead: false },
+  });
+
+  return { unreadCount: count };
+};
+
+/**
+ * Mark a notification as read
+ */
+const markAsRead = async (userId, notificationId) => {
+  const notification = await prisma.notification.findUnique({
+    where: { id: notificationId },
+  });
+
+  if (!notification || notification.userId !== userId) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  if (notification.isRead) {
+    return notification;
+  }
+
+  return prisma.notification.update({
+    where: { id: notificationId },
+    data: { isRead: true },
+  });
+};
+
+/**
+ * Mark all notifications of a user as read
+ */
+const markAllAsRead = async (userId) => {
+  const result = await prisma.notification.updateMany({
+    where: { userId, isRead: false },
+    data: { isRead: true },
+  });
+
+  return { updated: result.count };
+};
+
+/**
+ * Delete a notification
+ */
+const deleteNotification = async (userId, notificationId) => {
+  const { count } = await prisma.notification.deleteMany({
+    where: { id: notificationId, userId },
+  });
+
+  if (count === 0) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  return true;
+};
+
+module.exports = {
+  createNotification,
+  notifyNewChapter,
+  queueNewChapterNotifications,
+  getUserNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+};
@@ -0,0 +1,187 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Get approved manga or throw 404
+ */
+const findMangaOrFail = async (mangaId) => {
+  const manga = await prisma.manga.findUnique({
+    where: { id: mangaId },
+    select: { id: true, approvalStatus: true },
+  });
+
+  if (!manga) {
+    throw new AppError('Manga not found', 404);
+  }
+
+  return manga;
+};
+
+/**
+ * Recompute Manga.averageRating and Manga.totalRatings from the ratings table.
+ * Must run inside a transaction that holds the manga row lock (see lockManga)
+ * so concurrent rating writes cannot interleave with the aggregate.
+ */
+const recomputeMangaRating = async (tx, mangaId) => {
+  const aggregate = await tx.rating.aggregate({
+    where: { mangaId },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  const averageRating = aggregate._avg.rating
+    ? Math.round(aggregate._avg.rating * 100) / 100
+    : 0;
+
+  return tx.manga.update({
+    where: { id: mangaId },
+    data: {
+      averageRating,
+      totalRatings: aggregate._count._all,
+    },
+    select: { id: true, averageRating: true, totalRatings: true },
+  });
+};
+
+/**
+ * Lock the manga row for the rest of the transaction
+ */
+const lockManga = async (tx, mangaId) => {
+  await tx.$queryRaw`SELECT id FROM mangas WHERE id = ${mangaId} FOR UPDATE`;
+};
+
+/**
+ * Create or update the user's rating for a manga
+ */
+const rateManga = async (userId, mangaId, rating) => {
+  const manga = await findMangaOrFail(mangaId);
+
+  if (manga.approvalStatus !== 'APPROVED') {
+    throw new AppError('Cannot rate a manga that is not approved', 400);
+  }
+
+  const value = parseInt(rating);
+
+  if (!Number.isInteger(value) || value < MIN_RATING || value > MAX_RATING) {
+    throw new AppError(`Rating must be an integer between ${MIN_RATING} and ${MAX_RATING}`, 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await lockManga(tx, mangaId);
+
+    const userRating = await tx.rating.upsert({
+      where: {
+        userId_mangaId: {
+          userId,
+          mangaId,
+        },
+      },
+      update: { rating: value },
+      create: {
+        userId,
+        mangaId,
+        rating: value,
+      },
+    });
+
+    const summary = await recomputeMangaRating(tx, mangaId);
+
+    return {
+      rating: userRating,
+      averageRating: summary.averageRating,
+      totalRatings: summary.totalRatings,
+    };
+  });
+};
+
+/**
+ * Remove the user's rating for a manga
+ */
+const deleteRating = async (userId, mangaId) => {
+  await findMangaOrFail(mangaId);
+
+  return prisma.$transaction(async (tx) => {
+    await lockManga(tx, mangaId);
+
+    const { count } = await tx.rating.deleteMany({
+      where: { userId, mangaId },
+    });
+
+    if (count === 0) {
+      throw new AppError('Rating not found', 404);
+    }
+
+    const summary = await recomputeMangaRating(tx, mangaId);
+
+    return {
+      averageRating: summary.averageRating,
+      totalRatings: summary.totalRatings,
+    };
+  });
+};
+
+/**
+ * Get the user's own rating for a manga
+ */
+const getUserRating = async (userId, mangaId) => {
+  const rating = await prisma.rating.findUnique({
+    where: {
+      userId_mangaId: {
+        userId,
+        mangaId,
+      },
+    },
+  });
+
+  return {
+    hasRated: !!rating,
+    rating: rating?.rating || null,
+    updatedAt: rating?.updatedAt || null,
+  };
+};
+
+/**
+ * Get rating summary with histogram (count per star)
+ */
+const getRatingSummary = async (mangaId) => {
+  const manga = await prisma.manga.findUnique({
+    where: { id: mangaId },
+    select: { id: true, averageRating: true, totalRatings: true },
+  });
+
+  if (!manga) {
+    throw new AppError('Manga not found', 404);
+  }
+
+  const groups = await prisma.rating.groupBy({
+    by: ['rating'],
+    where: { mangaId },
+    _count: { _all: true },
+  });
+
+  const histogram = {};
+  for (let star = MIN_RATING; star <= MAX_RATING; star++) {
+    histogram[star] = 0;
+  }
+  groups.forEach(group => {
+    histogram[group.rating] = group._count._all;
+  });
+
+  return {
+    averageRating: manga.averageRating,
+    totalRatings: manga.totalRatings,
+    histogram,
+  };
+};
+
+module.exports = {
+  MIN_RATING,
+  MAX_RATING,
+  rateManga,
+  deleteRating,
+  getUserRating,
+  getRatingSummary,
+};
@@ -1,8 +1,16 @@
 const prisma = require('../config/database');
 const { AppError } = require('../middlewares/error.middleware');
+const {
+  isCursorMode,
+  buildSortKeys,
+  buildCursorQuery,
+  withCursorWhere,
+  buildCursorPage,
+} = require('../utils/pagination.util');
+const { recordView } = require('./view.service');
 
 /**
- * Get user's reading history with pagination
+ * Get user's reading history with pagination (page or cursor)
  */
 const getReadingHistory = async (userId, filters) => {
   const {
@@ -22,13 +30,25 @@ const getReadingHistory = async (userId, filters) => {
     where.mangaId = mangaId;
   }
 
+  const cursorMode = isCursorMode(filters);
+  const sortKeys = cursorMode ? buildSortKeys([sortBy], order) : null;
+
+  let pageQuery;
+  if (cursorMode) {
+    const cursorQuery = buildCursorQuery(sortKeys, filters.cursor, take);
+    pageQuery = {
+      where: withCursorWhere(where, cursorQuery.where),
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    };
+  } else {
+    pageQuery = { where, skip, take, orderBy: { [sortBy]: order } };
+  }
+
   const [total, history] = await Promise.all([
-    prisma.readingHistory.count({ where }),
+    cursorMode ? null : prisma.readingHistory.count({ where }),
     prisma.readingHistory.findMany({
-      where,
-      skip,
-      take,
-      orderBy: { [sortBy]: order },
+      ...pageQuery,
       include: {
         manga: {
           include: {
@@ -66,15 +86,22 @@ const getReadingHistory = async (userId, filters) => {
     }),
   ]);
 
-  // Format response
-  const formattedHistory = history.map(item => ({
+  const formatItem = (item) => ({
     ...item,
     manga: {
       ...item.manga,
       authors: item.manga.authors.map(a => a.author),
       genres: item.manga.genres.map(g => g.genre),
     },
-  }));
+  });
+
+  if (cursorMode) {
+    const { items, pagination } = buildCursorPage(history, sortKeys, take);
+    return { data: items.map(formatItem), pagination };
+  }
+
+  // Format response
+  const formattedHistory = history.map(formatItem);
 
   return {
     data: formattedHistory,
@@ -208,9 +235,9 @@ const getMangaProgress = async (userId, mangaId) => {
 const saveProgress = async (userId, chapterId, progressData) => {
   const { currentPage, totalPages, isCompleted } = progressData;
 
-  // Get chapter and manga info
-  const chapter = await prisma.chapter.findUnique({
-    where: { id: chapterId },
+  // Get chapter and manga info; drafts and hidden chapters cannot be read
+  const chapter = await prisma.chapter.findFirst({
+    where: { id: chapterId, status: 'PUBLISHED' },
     include: {
       manga: true,
     },
@@ -270,24 +297,10 @@ const saveProgress = async (userId, chapterId, progressData) => {
     },
   });
 
-  // Increment chapter view count
-  await prisma.chapter.update({
-    where: { id: chapterId },
-    data: {
-      totalViews: {
-        increment: 1,
-      },
-    },
-  });
-
-  // Update manga total views
-  await prisma.manga.update({
-    where: { id: chapter.mangaId },
-    data: {
-      totalViews: {
-        increment: 1,
-      },
-    },
+  // Progress is saved repeatedly while reading; the view is only counted once per window.
+  // A failure must not fail the progress that was already saved.
+  await recordView(chapterId, chapter.mangaId, { userId }).catch(error => {
+    console.error('❌ Failed to record chapter view:', error.message);
   });
 
   return history;
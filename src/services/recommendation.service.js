@@ -0,0 +1,255 @@
+const prisma = require('../config/database');
+const { createCache } = require('../utils/cache.util');
+const { getTrendingManga } = require('./trending.service');
+
+// Manga the user interacted with that are used as taste signals
+const SEED_LIMIT = 50;
+const CANDIDATE_LIMIT = 200;
+// Only the most recent bookmarkers of each seed are compared, which bounds the query cost
+const CO_BOOKMARKER_SAMPLE = 100;
+const MAX_TRENDING_FILL = 500;
+
+// A bookmark is a stronger signal of taste than having opened a chapter
+const SEED_WEIGHTS = { history: 1, bookmark: 2 };
+
+// How the two signals are blended once each is scaled to 0..1
+const SCORE_WEIGHTS = { genre: 0.6, coBookmark: 0.4 };
+
+const recommendationCache = createCache({ ttlMs: 10 * 60 * 1000, maxEntries: 5000 });
+
+const mangaInclude = {
+  authors: {
+    include: {
+      author: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+  genres: {
+    include: {
+      genre: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+};
+
+const formatManga = (m) => ({
+  ...m,
+  authors: m.authors.map(a => a.author),
+  genres: m.genres.map(g => g.genre),
+});
+
+/**
+ * Manga the user has read or bookmarked, with the weight of each as a taste signal
+ * @returns {Promise<object>} { seeds: Map<mangaId, weight>, seen: Set<mangaId> }
+ */
+const getUserSeeds = async (userId) => {
+  const [history, bookmarks, readManga] = await Promise.all([
+    prisma.readingHistory.findMany({
+      where: { userId },
+      distinct: ['mangaId'],
+      orderBy: { lastReadAt: 'desc' },
+      take: SEED_LIMIT,
+      select: { mangaId: true },
+    }),
+    prisma.bookmark.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: SEED_LIMIT,
+      select: { mangaId: true },
+    }),
+    // Everything already read is excluded, not only the recent seeds
+    prisma.readingHistory.findMany({
+      where: { userId },
+      distinct: ['mangaId'],
+      select: { mangaId: true },
+    }),
+  ]);
+
+  const seeds = new Map();
+  history.forEach(({ mangaId }) => {
+    seeds.set(mangaId, (seeds.get(mangaId) || 0) + SEED_WEIGHTS.history);
+  });
+  bookmarks.forEach(({ mangaId }) => {
+    seeds.set(mangaId, (seeds.get(mangaId) || 0) + SEED_WEIGHTS.bookmark);
+  });
+
+  const seen = new Set([
+    ...readManga.map(item => item.mangaId),
+    ...bookmarks.map(item => item.mangaId),
+  ]);
+
+  return { seeds, seen };
+};
+
+/**
+ * Score unseen manga by how much their genres match the genres of the seeds
+ * @returns {Promise<Map<string, number>>} mangaId -> score
+ */
+const scoreByGenreAffinity = async (seeds, seen) => {
+  const seedGenres = await prisma.mangaGenre.findMany({
+    where: { mangaId: { in: [...seeds.keys()] } },
+    select: { mangaId: true, genreId: true },
+  });
+
+  const affinity = new Map();
+  seedGenres.forEach(({ mangaId, genreId }) => {
+    affinity.set(genreId, (affinity.get(genreId) || 0) + seeds.get(mangaId));
+  });
+
+  if (affinity.size === 0) return new Map();
+
+  const genreIds = [...affinity.keys()];
+  const weights = genreIds.map(genreId => affinity.get(genreId));
+
+  const rows = await prisma.$queryRaw`
+    SELECT mg."mangaId" AS "mangaId", SUM(w.weight)::float8 AS score
+    FROM manga_genres mg
+    JOIN unnest(${genreIds}::text[], ${weights}::float8[]) AS w("genreId", weight)
+      ON w."genreId" = mg."genreId"
+    JOIN mangas m ON m.id = mg."mangaId"
+    WHERE m."approvalStatus" = 'APPROVED'
+      AND NOT (mg."mangaId" = ANY(${[...seen]}::text[]))
+    GROUP BY mg."mangaId"
+    ORDER BY score DESC
+    LIMIT ${CANDIDATE_LIMIT}
+  `;
+
+  return new Map(rows.map(row => [row.mangaId, row.score]));
+};
+
+/**
+ * Score unseen manga by how many other users bookmarked them together with a seed
+ * ("users who bookmarked X also bookmarked Y"), among each seed's recent bookmarkers
+ * @returns {Promise<Map<string, number>>} mangaId -> number of overlapping users
+ */
+const scoreByCoBookmarks = async (userId, seeds, seen) => {
+  const rows = await prisma.$queryRaw`
+    WITH co_bookmarkers AS (
+      SELECT seed."mangaId" AS "seedId", recent."userId"
+      FROM unnest(${[...seeds.keys()]}::text[]) AS seed("mangaId")
+      CROSS JOIN LATERAL (
+        SELECT b."userId"
+        FROM bookmarks b
+        WHERE b."mangaId" = seed."mangaId"
+          AND b."userId" <> ${userId}
+        ORDER BY b."createdAt" DESC
+        LIMIT ${CO_BOOKMARKER_SAMPLE}
+      ) recent
+    )
+    SELECT other."mangaId" AS "mangaId", COUNT(DISTINCT other."userId")::int AS overlap
+    FROM co_bookmarkers cb
+    JOIN bookmarks other
+      ON other."userId" = cb."userId"
+      AND other."mangaId" <> cb."seedId"
+    JOIN mangas m ON m.id = other."mangaId"
+    WHERE m."approvalStatus" = 'APPROVED'
+      AND NOT (other."mangaId" = ANY(${[...seen]}::text[]))
+    GROUP BY other."mangaId"
+    ORDER BY overlap DESC
+    LIMIT ${CANDIDATE_LIMIT}
+  `;
+
+  return new Map(rows.map(row => [row.mangaId, row.overlap]));
+};
+
+/**
+ * Blend both signals, each scaled to 0..1 by its best candidate
+ * @returns {Array<object>} [{ mangaId, score, reasons }] best first
+ */
+const rankCandidates = (genreScores, coBookmarkScores) => {
+  const maxGenre = Math.max(0, ...genreScores.values());
+  const maxCoBookmark = Math.max(0, ...coBookmarkScores.values());
+
+  const candidateIds = new Set([...genreScores.keys(), ...coBookmarkScores.keys()]);
+
+  return [...candidateIds]
+    .map(mangaId => {
+      const genre = maxGenre ? (genreScores.get(mangaId) || 0) / maxGenre : 0;
+      const coBookmark = maxCoBookmark ? (coBookmarkScores.get(mangaId) || 0) / maxCoBookmark : 0;
+
+      const reasons = [];
+      if (genre > 0) reasons.push('genre');
+      if (coBookmark > 0) reasons.push('co_bookmark');
+
+      return {
+        mangaId,
+        score: SCORE_WEIGHTS.genre * genre + SCORE_WEIGHTS.coBookmark * coBookmark,
+        reasons,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Trending manga the user has not seen, used for cold start and to fill short lists
+ */
+const getTrendingFill = async (seen, exclude, limit) => {
+  const { data } = await getTrendingManga({
+    limit: Math.min(limit + seen.size + exclude.size, MAX_TRENDING_FILL),
+  });
+
+  return data
+    .filter(m => !seen.has(m.id) && !exclude.has(m.id))
+    .slice(0, limit)
+    .map(m => ({ ...m, recommendation: { score: 0, reasons: ['trending'] } }));
+};
+
+/**
+ * Personalized recommendations from the user's reading history and bookmarks.
+ * Users without history get trending manga instead.
+ * @returns {Promise<object>} { data, source: 'personalized' | 'trending' }
+ */
+const getRecommendedManga = async (userId, options = {}) => {
+  const limit = parseInt(options.limit) || 20;
+
+  return recommendationCache.wrap(`${userId}:${limit}`, async () => {
+    const { seeds, seen } = await getUserSeeds(userId);
+
+    if (seeds.size === 0) {
+      return {
+        data: await getTrendingFill(seen, new Set(), limit),
+        source: 'trending',
+      };
+    }
+
+    const [genreScores, coBookmarkScores] = await Promise.all([
+      scoreByGenreAffinity(seeds, seen),
+      scoreByCoBookmarks(userId, seeds, seen),
+    ]);
+
+    const ranked = rankCandidates(genreScores, coBookmarkScores).slice(0, limit);
+
+    const manga = await prisma.manga.findMany({
+      where: {
+        id: { in: ranked.map(item => item.mangaId) },
+        approvalStatus: 'APPROVED',
+      },
+      include: mangaInclude,
+    });
+
+    const mangaById = new Map(manga.map(m => [m.id, m]));
+
+    const data = ranked
+      .filter(item => mangaById.has(item.mangaId))
+      .map(item => ({
+        ...formatManga(mangaById.get(item.mangaId)),
+        recommendation: {
+          score: Math.round(item.score * 1000) / 1000,
+          reasons: item.reasons,
+        },
+      }));
+
+    if (data.length < limit) {
+      const included = new Set(data.map(m => m.id));
+      data.push(...await getTrendingFill(seen, included, limit - data.length));
+    }
+
+    return { data, source: 'personalized' };
+  });
+};
+
+module.exports = {
+  getRecommendedManga,
+};
@@ -0,0 +1,304 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const { revokeUserSessions } = require('./session.service');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit.service');
+
+const reportInclude = {
+  reporter: {
+    select: { id: true, username: true, avatar: true },
+  },
+  resolver: {
+    select: { id: true, username: true },
+  },
+  comment: {
+    select: {
+      id: true,
+      content: true,
+      status: true,
+      createdAt: true,
+      user: {
+        select: { id: true, username: true, avatar: true, status: true },
+      },
+      manga: {
+        select: { id: true, title: true, slug: true },
+      },
+    },
+  },
+};
+
+/**
+ * Put a REPORTED comment back to ACTIVE once no pending report is left on it
+ */
+const restoreCommentIfClean = async (tx, commentId) => {
+  const pendingReports = await tx.report.count({
+    where: { commentId, status: 'PENDING' },
+  });
+
+  if (pendingReports === 0) {
+    await tx.comment.updateMany({
+      where: { id: commentId, status: 'REPORTED' },
+      data: { status: 'ACTIVE' },
+    });
+  }
+};
+
+/**
+ * Report a comment
+ */
+const reportComment = async (reporterId, mangaId, commentId, reportData) => {
+  const { type, reason } = reportData;
+
+  const comment = await prisma.comment.findUnique({
+    where: { id: commentId },
+  });
+
+  if (!comment || comment.mangaId !== mangaId || comment.status === 'DELETED') {
+    throw new AppError('Comment not found', 404);
+  }
+
+  if (comment.userId === reporterId) {
+    throw new AppError('You cannot report your own comment', 400);
+  }
+
+  const existingReport = await prisma.report.findFirst({
+    where: {
+      reporterId,
+      commentId,
+      status: 'PENDING',
+    },
+  });
+
+  if (existingReport) {
+    throw new AppError('You have already reported this comment', 400);
+  }
+
+  const report = await prisma.$transaction(async (tx) => {
+    const created = await tx.report.create({
+      data: {
+        reporterId,
+        commentId,
+        type,
+        reason: reason.trim(),
+      },
+    });
+
+    // Flag the comment for moderators without hiding it
+    await tx.comment.updateMany({
+      where: { id: commentId, status: 'ACTIVE' },
+      data: { status: 'REPORTED' },
+    });
+
+    return created;
+  });
+
+  return report;
+};
+
+/**
+ * Get moderation queue with filters and pagination
+ */
+const getReports = async (filters = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'PENDING',
+    type,
+    order = 'asc',
+  } = filters;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = {};
+  if (status !== 'ALL') {
+    where.status = status;
+  }
+  if (type) {
+    where.type = type;
+  }
+
+  const [total, reports] = await Promise.all([
+    prisma.report.count({ where }),
+    prisma.report.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ createdAt: order }, { id: order }],
+      include: reportInclude,
+    }),
+  ]);
+
+  return {
+    data: reports,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Get report by ID
+ */
+const getReportById = async (reportId) => {
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+    include: reportInclude,
+  });
+
+  if (!report) {
+    throw new AppError('Report not found', 404);
+  }
+
+  return report;
+};
+
+/**
+ * Get a report that can still be acted on
+ */
+const findOpenReportOrFail = async (tx, reportId) => {
+  const report = await tx.report.findUnique({
+    where: { id: reportId },
+    include: {
+      comment: {
+        select: {
+          id: true,
+          userId: true,
+          user: { select: { id: true, role: true, status: true } },
+        },
+      },
+    },
+  });
+
+  if (!report) {
+    throw new AppError('Report not found', 404);
+  }
+
+  if (report.status === 'RESOLVED' || report.status === 'REJECTED') {
+    throw new AppError(`Report already ${report.status.toLowerCase()}`, 400);
+  }
+
+  return report;
+};
+
+/**
+ * Resolve report (optionally hide the comment and/or ban its author)
+ */
+const resolveReport = async (adminId, reportId, actionData = {}) => {
+  const { resolution, hideComment = false, banUser = false } = actionData;
+  let bannedUserId = null;
+
+  await prisma.$transaction(async (tx) => {
+    const report = await findOpenReportOrFail(tx, reportId);
+    const resolvedAt = new Date();
+
+    await tx.report.update({
+      where: { id: reportId },
+      data: {
+        status: 'RESOLVED',
+        resolvedBy: adminId,
+        resolvedAt,
+        resolution,
+      },
+    });
+
+    if (!report.comment) {
+      return;
+    }
+
+    if (banUser) {
+      if (report.comment.user.role === 'ADMIN') {
+        throw new AppError('Cannot ban an admin', 400);
+      }
+
+      await tx.user.update({
+        where: { id: report.comment.userId },
+        data: {
+          status: 'BANNED',
+          statusReason: resolution,
+          suspendedUntil: null,
+        },
+      });
+
+      await recordAudit({
+        actorId: adminId,
+        action: AUDIT_ACTIONS.USER_BANNED,
+        targetType: 'USER',
+        targetId: report.comment.userId,
+        metadata: {
+          previousStatus: report.comment.user.status,
+          reason: resolution,
+          reportId,
+        },
+      }, tx);
+
+      bannedUserId = report.comment.userId;
+    }
+
+    if (hideComment) {
+      await tx.comment.update({
+        where: { id: report.comment.id },
+        data: { status: 'HIDDEN' },
+      });
+
+      // Other pending reports on the same comment are settled by this action
+      await tx.report.updateMany({
+        where: {
+          commentId: report.comment.id,
+          status: 'PENDING',
+        },
+        data: {
+          status: 'RESOLVED',
+          resolvedBy: adminId,
+          resolvedAt,
+          resolution,
+        },
+      });
+    } else {
+      await restoreCommentIfClean(tx, report.comment.id);
+    }
+  });
+
+  if (bannedUserId) {
+    await revokeUserSessions(bannedUserId, { reason: 'USER_BANNED' });
+  }
+
+  return getReportById(reportId);
+};
+
+/**
+ * Reject report (no action taken against the comment)
+ */
+const rejectReport = async (adminId, reportId, actionData = {}) => {
+  const { resolution } = actionData;
+
+  await prisma.$transaction(async (tx) => {
+    const report = await findOpenReportOrFail(tx, reportId);
+
+    await tx.report.update({
+      where: { id: reportId },
+      data: {
+        status: 'REJECTED',
+        resolvedBy: adminId,
+        resolvedAt: new Date(),
+        resolution,
+      },
+    });
+
+    if (report.comment) {
+      await restoreCommentIfClean(tx, report.comment.id);
+    }
+  });
+
+  return getReportById(reportId);
+};
+
+module.exports = {
+  reportComment,
+  getReports,
+  getReportById,
+  resolveReport,
+  rejectReport,
+};
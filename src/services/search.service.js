@@ -0,0 +1,327 @@
+const prisma = require('../config/database');
+const { Prisma } = require('../../generated/prisma');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  normalizeSearchText,
+  tokenizeQuery,
+  buildSearchFields,
+  highlight,
+} = require('../utils/search.util');
+const { createCache, withTimeout } = require('../utils/cache.util');
+
+const SNIPPET_LENGTH = 160;
+
+// Suggestions are served while the user types: every source gets a time budget
+// and sources that miss it are left out instead of delaying the response.
+const SUGGEST_TIMEOUT_MS = parseInt(process.env.SUGGEST_TIMEOUT_MS) || 300;
+const SUGGEST_MIN_QUERY_LENGTH = 2;
+const SUGGEST_LIMITS = { manga: 6, author: 3, genre: 3 };
+
+const suggestionCache = createCache({ ttlMs: 60 * 1000, maxEntries: 2000 });
+
+// Escape LIKE wildcards in a search term
+const likePattern = (term) => `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * Build the WHERE and score SQL for a normalized query.
+ * Title matches (title, alternative titles, authors) are fuzzy through pg_trgm so
+ * typos still match; description matches must contain every term.
+ */
+const buildSearchSql = (terms) => {
+  const query = terms.join(' ');
+
+  const titleContainsAll = Prisma.join(
+    terms.map(term => Prisma.sql`m."searchTitle" LIKE ${likePattern(term)}`),
+    ' AND '
+  );
+  const textContainsAll = Prisma.join(
+    terms.map(term => Prisma.sql`m."searchText" LIKE ${likePattern(term)}`),
+    ' AND '
+  );
+
+  const where = Prisma.sql`
+    m."approvalStatus" = 'APPROVED'
+    AND (
+      m."searchTitle" % ${query}
+      OR ${query} <% m."searchTitle"
+      OR (${titleContainsAll})
+      OR (${textContainsAll})
+    )
+  `;
+
+  const score = Prisma.sql`(
+    GREATEST(similarity(m."searchTitle", ${query}), word_similarity(${query}, m."searchTitle")) * 2
+    + CASE WHEN ${titleContainsAll} THEN 1 ELSE 0 END
+    + CASE WHEN ${textContainsAll} THEN 0.5 ELSE 0 END
+  )`;
+
+  return { where, score };
+};
+
+/**
+ * Ranked, accent-insensitive and typo-tolerant manga search
+ */
+const searchManga = async (options = {}) => {
+  const { q, page = 1, limit = 20 } = options;
+
+  const terms = tokenizeQuery(q);
+
+  if (terms.length === 0) {
+    throw new AppError('Search query must contain letters or digits', 400);
+  }
+
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+  const { where, score } = buildSearchSql(terms);
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT m.id, ${score} AS score
+      FROM mangas m
+      WHERE ${where}
+      ORDER BY score DESC, m."totalViews" DESC, m.id
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS total
+      FROM mangas m
+      WHERE ${where}
+    `,
+  ]);
+
+  const manga = await prisma.manga.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    include: {
+      authors: {
+        include: {
+          author: {
+            select: { id: true, name: true, slug: true },
+          },
+        },
+      },
+      genres: {
+        include: {
+          genre: {
+            select: { id: true, name: true, slug: true },
+          },
+        },
+      },
+    },
+  });
+
+  const mangaById = new Map(manga.map(m => [m.id, m]));
+
+  // Keep the SQL ranking order
+  const data = rows
+    .filter(row => mangaById.has(row.id))
+    .map(row => {
+      const m = mangaById.get(row.id);
+      const matchedAltTitle = m.alternativeTitles
+        .map(title => highlight(title, terms))
+        .find(Boolean);
+
+      return {
+        ...m,
+        authors: m.authors.map(a => a.author),
+        genres: m.genres.map(g => g.genre),
+        score: Number(row.score),
+        highlights: {
+          title: highlight(m.title, terms),
+          alternativeTitle: matchedAltTitle || null,
+          description: highlight(m.description, terms, SNIPPET_LENGTH),
+        },
+      };
+    });
+
+  return {
+    data,
+    query: q,
+    pagination: {
+      page: parseInt(page),
+      limit: take,
+      total,
+      pages: Math.ceil(total / take),
+    },
+  };
+};
+
+/**
+ * Manga whose title or an alternative title matches the query (typos tolerated)
+ */
+const suggestManga = async (terms, limit) => {
+  const query = terms.join(' ');
+  const containsAll = Prisma.join(
+    terms.map(term => Prisma.sql`m."searchTitle" LIKE ${likePattern(term)}`),
+    ' AND '
+  );
+
+  const rows = await prisma.$queryRaw`
+    SELECT m.id, m.title, m.slug, m.thumbnail, m."alternativeTitles", m."searchTitle"
+    FROM mangas m
+    WHERE m."approvalStatus" = 'APPROVED'
+      AND ((${containsAll}) OR ${query} <% m."searchTitle")
+    ORDER BY
+      (m."searchTitle" LIKE ${`${query}%`}) DESC,
+      word_similarity(${query}, m."searchTitle") DESC,
+      m."totalViews" DESC
+    LIMIT ${limit * 2}
+  `;
+
+  const matchesAll = (text) => {
+    const normalized = normalizeSearchText(text);
+    return terms.every(term => normalized.includes(term));
+  };
+
+  return rows
+    .map(row => {
+      const base = { id: row.id, slug: row.slug, thumbnail: row.thumbnail };
+
+      if (matchesAll(row.title)) {
+        return { type: 'manga', text: row.title, highlight: highlight(row.title, terms), ...base };
+      }
+
+      const altTitle = row.alternativeTitles.find(matchesAll);
+      if (altTitle) {
+        return {
+          type: 'alternative_title',
+          text: altTitle,
+          highlight: highlight(altTitle, terms),
+          title: row.title,
+          ...base,
+        };
+      }
+
+      // Matched through an author name only: the author suggestion covers it
+      if (terms.every(term => row.searchTitle.includes(term))) {
+        return null;
+      }
+
+      // Typo-tolerant match on the title
+      return { type: 'manga', text: row.title, highlight: highlight(row.title, terms), ...base };
+    })
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+/**
+ * Authors or genres whose accent-free name contains every term
+ */
+const suggestByName = async (table, type, terms, limit) => {
+  const containsAll = Prisma.join(
+    terms.map(term => Prisma.sql`lower(unaccent(t.name)) LIKE ${likePattern(term)}`),
+    ' AND '
+  );
+
+  const rows = await prisma.$queryRaw`
+    SELECT t.id, t.name, t.slug
+    FROM ${Prisma.raw(table)} t
+    WHERE ${containsAll}
+    ORDER BY (lower(unaccent(t.name)) LIKE ${`${terms.join(' ')}%`}) DESC, length(t.name), t.name
+    LIMIT ${limit}
+  `;
+
+  return rows.map(row => ({
+    type,
+    id: row.id,
+    slug: row.slug,
+    text: row.name,
+    highlight: highlight(row.name, terms),
+  }));
+};
+
+/**
+ * Type-tagged suggestions for a search box (manga titles, alternative titles, authors, genres)
+ * @returns {Promise<object>} { data, partial } - partial is true if a source ran out of time
+ */
+const getSuggestions = async (q) => {
+  const terms = tokenizeQuery(q);
+  const key = terms.join(' ');
+
+  if (key.length < SUGGEST_MIN_QUERY_LENGTH) {
+    return { data: [], partial: false };
+  }
+
+  const cached = suggestionCache.get(key);
+  if (cached) return cached;
+
+  const TIMED_OUT = null;
+  const guard = (promise, source) => withTimeout(
+    promise.catch(error => {
+      console.error(`❌ Suggest source "${source}" failed:`, error.message);
+      return [];
+    }),
+    SUGGEST_TIMEOUT_MS,
+    TIMED_OUT
+  );
+
+  const results = await Promise.all([
+    guard(suggestManga(terms, SUGGEST_LIMITS.manga), 'manga'),
+    guard(suggestByName('authors', 'author', terms, SUGGEST_LIMITS.author), 'author'),
+    guard(suggestByName('genres', 'genre', terms, SUGGEST_LIMITS.genre), 'genre'),
+  ]);
+
+  const partial = results.some(result => result === TIMED_OUT);
+  const response = {
+    data: results.flatMap(result => result || []),
+    partial,
+  };
+
+  // Only complete answers are cached
+  if (!partial) {
+    suggestionCache.set(key, response);
+  }
+
+  return response;
+};
+
+/**
+ * Recompute the search columns of every manga
+ * @param {function} [onBatch] - Called with the number of manga processed so far
+ * @returns {Promise<number>} Number of manga reindexed
+ */
+const reindexAllManga = async (onBatch, batchSize = 200) => {
+  let processed = 0;
+  let cursor;
+
+  for (;;) {
+    const batch = await prisma.manga.findMany({
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: { id: 'asc' },
+      select: {
+        id: true,
+        title: true,
+        alternativeTitles: true,
+        description: true,
+        authors: {
+          select: { author: { select: { name: true } } },
+        },
+      },
+    });
+
+    if (batch.length === 0) break;
+
+    await prisma.$transaction(
+      batch.map(manga => prisma.manga.update({
+        where: { id: manga.id },
+        data: buildSearchFields({
+          ...manga,
+          authorNames: manga.authors.map(a => a.author.name),
+        }),
+        select: { id: true },
+      }))
+    );
+
+    processed += batch.length;
+    cursor = batch[batch.length - 1].id;
+    if (onBatch) onBatch(processed);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  searchManga,
+  getSuggestions,
+  reindexAllManga,
+};
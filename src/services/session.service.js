@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+} = require('../utils/jwt.util');
+
+// lastSeenAt is written at most once per interval per session
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Build a readable device name from a User-Agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return null;
+  if (!os) return browser[0];
+  if (!browser) return os[0];
+
+  return `${browser[0]} on ${os[0]}`;
+};
+
+/**
+ * Normalize the client info recorded on a session
+ * @param {object} client - { deviceName, userAgent, ipAddress }
+ */
+const buildClientData = (client = {}) => {
+  const userAgent = client.userAgent ? client.userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null;
+
+  return {
+    deviceName: client.deviceName || describeDevice(userAgent),
+    userAgent,
+    ipAddress: client.ipAddress || null,
+  };
+};
+
+/**
+ * Sign a new access/refresh token pair for a session
+ */
+const issueTokens = (userId, sessionId) => {
+  const accessToken = generateAccessToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Start a new session (login / register)
+ * @param {string} userId - User ID
+ * @param {object} [client] - { deviceName, userAgent, ipAddress }
+ * @returns {Promise<object>} { sessionId, accessToken, refreshToken }
+ */
+const createSession = async (userId, client) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = issueTokens(userId, sessionId);
+
+  await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId,
+      refreshTokenHash: tokens.refreshTokenHash,
+      expiresAt: tokens.expiresAt,
+      ...buildClientData(client),
+    },
+  });
+
+  return {
+    sessionId,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+  };
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'LOGOUT') => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+const revokeUserSessions = async (userId, { exceptSessionId, reason = 'REVOKED' } = {}) => {
+  const where = { userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    where.id = { not: exceptSessionId };
+  }
+
+  const { count } = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count;
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token must be the latest one issued for its session; an older
+ * token means it was stolen or replayed, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} [client] - { ipAddress }
+ * @returns {Promise<object>} { userId, sessionId, accessToken, refreshToken }
+ */
+const rotateSession = async (refreshToken, client = {}) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (!decoded.sid) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: {
+      user: {
+        select: { id: true, status: true },
+      },
+    },
+  });
+
+  if (!session || session.userId !== decoded.id) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (session.revokedAt) {
+    throw new AppError('Session has been revoked. Please login again.', 401);
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw new AppError('Session expired. Please login again.', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.refreshTokenHash !== presentedHash) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw new AppError('Refresh token reuse detected. Please login again.', 401);
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    await revokeSession(session.id, `USER_${session.user.status}`);
+    throw new AppError('Your account is not active', 403);
+  }
+
+  const tokens = issueTokens(session.userId, session.id);
+
+  // Compare-and-swap on the hash so two concurrent refreshes cannot both win
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: tokens.refreshTokenHash,
+      expiresAt: tokens.expiresAt,
+      lastSeenAt: new Date(),
+      ...(client.ipAddress && { ipAddress: client.ipAddress }),
+    },
+  });
+
+  if (count === 0) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw new AppError('Refresh token reuse detected. Please login again.', 401);
+  }
+
+  return {
+    userId: session.userId,
+    sessionId: session.id,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+  };
+};
+
+/**
+ * Get a session with its user, or null if it is missing, revoked or expired
+ */
+const getActiveSession = async (sessionId, userSelect) => {
+  if (!sessionId) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: {
+      id: true,
+      userId: true,
+      expiresAt: true,
+      revokedAt: true,
+      lastSeenAt: true,
+      user: { select: userSelect },
+    },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Record activity on a session, throttled to one write per interval
+ */
+const touchSession = (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  prisma.session
+    .updateMany({
+      where: { id: session.id, revokedAt: null },
+      data: { lastSeenAt: new Date() },
+    })
+    .catch(error => {
+      console.error('❌ Failed to update session activity:', error.message);
+    });
+};
+
+/**
+ * List the active sessions (devices) of a user
+ */
+const getUserSessions = async (userId, currentSessionId) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      lastSeenAt: true,
+      createdAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastSeenAt: 'desc' },
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Revoke one of the user's own sessions
+ */
+const revokeOwnSession = async (userId, sessionId) => {
+  const session = await prisma.session.findFirst({
+    where: { id: sessionId, userId, revokedAt: null },
+    select: { id: true },
+  });
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await revokeSession(session.id, 'USER_REVOKED');
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeOwnSession,
+  getActiveSession,
+  touchSession,
+  getUserSessions,
+};
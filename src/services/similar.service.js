@@ -0,0 +1,166 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const { createCache } = require('../utils/cache.util');
+
+// Results are cached per manga at the maximum size and cut to the requested limit
+const MAX_SIMILAR = 24;
+
+// Only the most recent readers of the manga are compared, which bounds the query cost
+const CO_READER_SAMPLE = 500;
+
+// Weights of the three signals, each scaled to 0..1
+const SIMILARITY_WEIGHTS = { genre: 0.5, author: 0.2, reader: 0.3 };
+
+// The cache lives in each process; the TTL is how long another instance can serve a stale list
+const SIMILAR_CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+const similarCache = createCache({ ttlMs: SIMILAR_CACHE_TTL_MS, maxEntries: 2000 });
+
+const mangaInclude = {
+  authors: {
+    include: {
+      author: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+  genres: {
+    include: {
+      genre: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+};
+
+const formatManga = (m) => ({
+  ...m,
+  authors: m.authors.map(a => a.author),
+  genres: m.genres.map(g => g.genre),
+});
+
+/**
+ * Score other approved manga against one manga
+ * @returns {Promise<Array<object>>} [{ id, score, sharedGenres, sharedAuthors, sharedReaders }]
+ */
+const computeSimilarManga = async (mangaId, genreCount) => {
+  return prisma.$queryRaw`
+    WITH genre_overlap AS (
+      SELECT mg."mangaId", COUNT(*)::int AS shared
+      FROM manga_genres mg
+      WHERE mg."genreId" IN (SELECT "genreId" FROM manga_genres WHERE "mangaId" = ${mangaId})
+        AND mg."mangaId" <> ${mangaId}
+      GROUP BY mg."mangaId"
+    ),
+    author_overlap AS (
+      SELECT ma."mangaId", COUNT(*)::int AS shared
+      FROM manga_authors ma
+      WHERE ma."authorId" IN (SELECT "authorId" FROM manga_authors WHERE "mangaId" = ${mangaId})
+        AND ma."mangaId" <> ${mangaId}
+      GROUP BY ma."mangaId"
+    ),
+    readers AS (
+      SELECT "userId"
+      FROM reading_history
+      WHERE "mangaId" = ${mangaId}
+      GROUP BY "userId"
+      ORDER BY MAX("lastReadAt") DESC
+      LIMIT ${CO_READER_SAMPLE}
+    ),
+    reader_overlap AS (
+      SELECT rh."mangaId", COUNT(DISTINCT rh."userId")::int AS shared
+      FROM reading_history rh
+      JOIN readers r ON r."userId" = rh."userId"
+      WHERE rh."mangaId" <> ${mangaId}
+      GROUP BY rh."mangaId"
+    ),
+    candidates AS (
+      SELECT
+        m.id,
+        m."totalViews",
+        COALESCE(g.shared, 0) AS "sharedGenres",
+        COALESCE(a.shared, 0) AS "sharedAuthors",
+        COALESCE(r.shared, 0) AS "sharedReaders"
+      FROM mangas m
+      LEFT JOIN genre_overlap g ON g."mangaId" = m.id
+      LEFT JOIN author_overlap a ON a."mangaId" = m.id
+      LEFT JOIN reader_overlap r ON r."mangaId" = m.id
+      WHERE m."approvalStatus" = 'APPROVED'
+        AND (g.shared IS NOT NULL OR a.shared IS NOT NULL OR r.shared IS NOT NULL)
+    )
+    SELECT
+      id,
+      "sharedGenres",
+      "sharedAuthors",
+      "sharedReaders",
+      (
+        ${SIMILARITY_WEIGHTS.genre}::float8 * "sharedGenres" / GREATEST(${genreCount}::int, 1)
+        + ${SIMILARITY_WEIGHTS.author}::float8 * LEAST("sharedAuthors", 1)
+        + ${SIMILARITY_WEIGHTS.reader}::float8
+          * COALESCE("sharedReaders"::float8 / NULLIF(MAX("sharedReaders") OVER (), 0), 0)
+      ) AS score
+    FROM candidates
+    ORDER BY score DESC, "totalViews" DESC, id
+    LIMIT ${MAX_SIMILAR}
+  `;
+};
+
+/**
+ * Get manga similar to one manga (shared genres, shared authors, co-readers)
+ */
+const getSimilarManga = async (slug, options = {}) => {
+  const limit = Math.min(parseInt(options.limit) || 12, MAX_SIMILAR);
+
+  const manga = await prisma.manga.findFirst({
+    where: { slug, approvalStatus: 'APPROVED' },
+    select: {
+      id: true,
+      _count: { select: { genres: true } },
+    },
+  });
+
+  if (!manga) {
+    throw new AppError('Manga not found', 404);
+  }
+
+  const similar = await similarCache.wrap(manga.id, async () => {
+    const rows = await computeSimilarManga(manga.id, manga._count.genres);
+
+    const candidates = await prisma.manga.findMany({
+      where: { id: { in: rows.map(row => row.id) } },
+      include: mangaInclude,
+    });
+
+    const mangaById = new Map(candidates.map(m => [m.id, m]));
+
+    return rows
+      .filter(row => mangaById.has(row.id))
+      .map(row => ({
+        ...formatManga(mangaById.get(row.id)),
+        similarity: {
+          score: Math.round(row.score * 1000) / 1000,
+          sharedGenres: row.sharedGenres,
+          sharedAuthors: row.sharedAuthors,
+          sharedReaders: row.sharedReaders,
+        },
+      }));
+  });
+
+  return similar.slice(0, limit);
+};
+
+/**
+ * Drop cached similar lists after a manga's genres change.
+ * Its own list is stale, and so are lists of other manga that it appears in,
+ * so the whole cache is cleared (genre edits are rare).
+ * Only this process's cache is cleared: with several instances, the others
+ * keep serving their lists until they expire (SIMILAR_CACHE_TTL_MS).
+ */
+const clearSimilarMangaCache = () => {
+  similarCache.clear();
+};
+
+module.exports = {
+  getSimilarManga,
+  clearSimilarMangaCache,
+};
@@ -0,0 +1,185 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  DAY_MS,
+  startOfUtcDay,
+  addDays,
+  parseDateOnly,
+  formatDateOnly,
+} = require('../utils/date.util');
+
+// Longest range the stats endpoint and backfill accept in one call
+const MAX_RANGE_DAYS = 731;
+
+// Per-period counters that are summed when grouping by week/month.
+// totalViews and totalComments hold the activity of that single day.
+const SUM_FIELDS = ['newUsers', 'newMangas', 'newChapters', 'totalViews', 'totalComments'];
+
+// Running totals: the last value of the period is kept
+const LAST_FIELDS = ['totalUsers', 'totalMangas', 'totalChapters'];
+
+/**
+ * Compute and store statistics for one UTC day
+ * @param {Date} date - Any time within the day
+ * @returns {Promise<object>} Saved DailyStats row
+ */
+const aggregateDailyStats = async (date) => {
+  const start = startOfUtcDay(date);
+  const end = addDays(start, 1);
+  const createdInDay = { createdAt: { gte: start, lt: end } };
+  const createdBefore = { createdAt: { lt: end } };
+
+  const [
+    newUsers,
+    totalUsers,
+    newMangas,
+    totalMangas,
+    newChapters,
+    totalChapters,
+    totalViews,
+    totalComments,
+  ] = await Promise.all([
+    prisma.user.count({ where: createdInDay }),
+    prisma.user.count({ where: createdBefore }),
+    prisma.manga.count({ where: createdInDay }),
+    prisma.manga.count({ where: createdBefore }),
+    prisma.chapter.count({ where: createdInDay }),
+    prisma.chapter.count({ where: createdBefore }),
+    prisma.chapterView.count({ where: { viewedAt: { gte: start, lt: end } } }),
+    prisma.comment.count({ where: createdInDay }),
+  ]);
+
+  const data = {
+    newUsers,
+    totalUsers,
+    newMangas,
+    totalMangas,
+    newChapters,
+    totalChapters,
+    totalViews,
+    totalComments,
+  };
+
+  return prisma.dailyStats.upsert({
+    where: { date: start },
+    update: data,
+    create: { date: start, ...data },
+  });
+};
+
+/**
+ * Recompute statistics for every day in [from, to]
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @param {function} [onDay] - Called with each saved row
+ * @returns {Promise<number>} Number of days processed
+ */
+const backfillDailyStats = async (from, to, onDay) => {
+  const first = startOfUtcDay(from);
+  const last = startOfUtcDay(to);
+
+  if (first > last) {
+    throw new AppError('"from" must be before "to"', 400);
+  }
+
+  if ((last - first) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new AppError(`Range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  let processed = 0;
+
+  // Sequential on purpose: each day already runs 8 counts in parallel
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    const row = await aggregateDailyStats(day);
+    processed++;
+    if (onDay) onDay(row);
+  }
+
+  return processed;
+};
+
+/**
+ * Key of the period a day belongs to
+ */
+const getPeriodKey = (date, granularity) => {
+  if (granularity === 'month') {
+    return `${formatDateOnly(date).slice(0, 7)}-01`;
+  }
+
+  if (granularity === 'week') {
+    // ISO weeks start on Monday
+    const offset = (date.getUTCDay() + 6) % 7;
+    return formatDateOnly(addDays(date, -offset));
+  }
+
+  return formatDateOnly(date);
+};
+
+/**
+ * Get statistics time series for the admin dashboard
+ */
+const getStatsSeries = async (options = {}) => {
+  const { granularity = 'day' } = options;
+
+  const to = options.to ? parseDateOnly(options.to) : startOfUtcDay();
+  const from = options.from ? parseDateOnly(options.from) : addDays(to, -29);
+
+  if (!from || !to) {
+    throw new AppError('Dates must use the YYYY-MM-DD format', 400);
+  }
+
+  if (from > to) {
+    throw new AppError('"from" must be before "to"', 400);
+  }
+
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new AppError(`Range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const rows = await prisma.dailyStats.findMany({
+    where: { date: { gte: from, lte: to } },
+    orderBy: { date: 'asc' },
+  });
+
+  const periods = new Map();
+
+  rows.forEach(row => {
+    const key = getPeriodKey(row.date, granularity);
+
+    if (!periods.has(key)) {
+      const period = { period: key, days: 0 };
+      SUM_FIELDS.forEach(field => { period[field] = 0; });
+      periods.set(key, period);
+    }
+
+    const period = periods.get(key);
+    period.days++;
+    SUM_FIELDS.forEach(field => { period[field] += row[field]; });
+    LAST_FIELDS.forEach(field => { period[field] = row[field]; });
+  });
+
+  const series = Array.from(periods.values());
+
+  const summary = {};
+  SUM_FIELDS.forEach(field => {
+    summary[field] = series.reduce((sum, period) => sum + period[field], 0);
+  });
+  LAST_FIELDS.forEach(field => {
+    summary[field] = series.length > 0 ? series[series.length - 1][field] : 0;
+  });
+
+  return {
+    from: formatDateOnly(from),
+    to: formatDateOnly(to),
+    granularity,
+    summary,
+    series,
+  };
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  aggregateDailyStats,
+  backfillDailyStats,
+  getStatsSeries,
+};
@@ -0,0 +1,253 @@
+const prisma = require('../config/database');
+const { Prisma } = require('../../generated/prisma');
+const { AppError } = require('../middlewares/error.middleware');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only views inside the window count, and a view's weight halves every half-life
+// so a burst of recent reads outranks a slow trickle over the whole window.
+const TRENDING_WINDOWS = {
+  '24h': { key: 'H24', durationMs: 24 * HOUR_MS, halfLifeMs: 6 * HOUR_MS },
+  '7d': { key: 'D7', durationMs: 7 * 24 * HOUR_MS, halfLifeMs: 2 * 24 * HOUR_MS },
+  '30d': { key: 'D30', durationMs: 30 * 24 * HOUR_MS, halfLifeMs: 7 * 24 * HOUR_MS },
+};
+
+const DEFAULT_TRENDING_WINDOW = '7d';
+
+// Ranked manga kept per window (and per genre); deeper positions are not worth storing
+const MAX_RANKED_PER_WINDOW = parseInt(process.env.TRENDING_MAX_RANKED) || 1000;
+const MAX_RANKED_PER_GENRE = parseInt(process.env.TRENDING_MAX_RANKED_PER_GENRE) || 200;
+
+const mangaInclude = {
+  authors: {
+    include: {
+      author: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+  genres: {
+    include: {
+      genre: {
+        select: { id: true, name: true, slug: true },
+      },
+    },
+  },
+};
+
+const formatManga = (m) => ({
+  ...m,
+  authors: m.authors.map(a => a.author),
+  genres: m.genres.map(g => g.genre),
+});
+
+/**
+ * Decayed view score of every approved manga viewed within a window
+ * @returns {Prisma.Sql} Rows of { mangaId, views, score }
+ */
+const viewScoresSql = (window, now) => {
+  const { durationMs, halfLifeMs } = TRENDING_WINDOWS[window];
+
+  // Timestamps are stored as UTC without a time zone, so compare on epoch seconds
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const sinceSeconds = Math.floor((now.getTime() - durationMs) / 1000);
+  const halfLifeSeconds = halfLifeMs / 1000;
+
+  return Prisma.sql`
+    SELECT
+      c."mangaId" AS "mangaId",
+      COUNT(*)::int AS views,
+      SUM(EXP(
+        -LN(2) * (${nowSeconds}::float8 - EXTRACT(EPOCH FROM v."viewedAt")::float8) / ${halfLifeSeconds}::float8
+      ))::float8 AS score
+    FROM chapter_views v
+    JOIN chapters c ON c.id = v."chapterId"
+    JOIN mangas m ON m.id = c."mangaId"
+    WHERE m."approvalStatus" = 'APPROVED'
+      AND v."viewedAt" > to_timestamp(${sinceSeconds}) AT TIME ZONE 'UTC'
+      AND v."viewedAt" <= to_timestamp(${nowSeconds}) AT TIME ZONE 'UTC'
+    GROUP BY c."mangaId"
+  `;
+};
+
+/**
+ * Rank approved manga by decayed view score within a window
+ * @returns {Promise<Array<object>>} { mangaId, views, score }, best first
+ */
+const rankMangaByViews = async (window, now) => {
+  return prisma.$queryRaw`
+    SELECT s.*
+    FROM (${viewScoresSql(window, now)}) s
+    ORDER BY s.score DESC, s.views DESC, s."mangaId"
+    LIMIT ${MAX_RANKED_PER_WINDOW}
+  `;
+};
+
+/**
+ * Rank approved manga within each of their genres, from the same scores
+ * @returns {Promise<Array<object>>} { genreId, mangaId, views, score, rank }
+ */
+const rankMangaByViewsPerGenre = async (window, now) => {
+  return prisma.$queryRaw`
+    SELECT *
+    FROM (
+      SELECT
+        mg."genreId" AS "genreId",
+        s.*,
+        ROW_NUMBER() OVER (
+          PARTITION BY mg."genreId"
+          ORDER BY s.score DESC, s.views DESC, s."mangaId"
+        )::int AS rank
+      FROM (${viewScoresSql(window, now)}) s
+      JOIN manga_genres mg ON mg."mangaId" = s."mangaId"
+    ) ranked
+    WHERE rank <= ${MAX_RANKED_PER_GENRE}
+  `;
+};
+
+/**
+ * Recompute the ranking of one window, overall and per genre, from ChapterView events
+ * @param {string} window - 24h | 7d | 30d
+ * @returns {Promise<number>} Number of ranked manga
+ */
+const computeTrendingWindow = async (window, now = new Date()) => {
+  const { key } = TRENDING_WINDOWS[window];
+
+  const rows = await rankMangaByViews(window, now);
+  const genreRows = await rankMangaByViewsPerGenre(window, now);
+
+  // Swap the whole window at once so readers never see a half-built ranking
+  await prisma.$transaction([
+    prisma.trendingScore.deleteMany({ where: { window: key } }),
+    prisma.trendingScore.createMany({
+      data: rows.map((row, index) => ({
+        mangaId: row.mangaId,
+        window: key,
+        score: row.score,
+        views: row.views,
+        rank: index + 1,
+        computedAt: now,
+      })),
+    }),
+    prisma.genreTrendingScore.deleteMany({ where: { window: key } }),
+    prisma.genreTrendingScore.createMany({
+      data: genreRows.map(row => ({
+        genreId: row.genreId,
+        mangaId: row.mangaId,
+        window: key,
+        score: row.score,
+        views: row.views,
+        rank: row.rank,
+        computedAt: now,
+      })),
+    }),
+  ]);
+
+  return rows.length;
+};
+
+/**
+ * Recompute every trending window
+ * @returns {Promise<object>} Ranked manga count per window
+ */
+const refreshTrendingScores = async () => {
+  const now = new Date();
+  const counts = {};
+
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    counts[window] = await computeTrendingWindow(window, now);
+  }
+
+  return counts;
+};
+
+/**
+ * Get trending manga for a window, optionally within one genre (ranked within the genre).
+ * Falls back to all-time views while the window has no ranked manga yet.
+ */
+const getTrendingManga = async (options = {}) => {
+  const { window = DEFAULT_TRENDING_WINDOW, genre, limit = 10 } = options;
+
+  const config = TRENDING_WINDOWS[window];
+  if (!config) {
+    throw new AppError(`Window must be one of ${Object.keys(TRENDING_WINDOWS).join(', ')}`, 400);
+  }
+
+  let genreRecord = null;
+
+  if (genre) {
+    genreRecord = await prisma.genre.findUnique({
+      where: { slug: genre },
+      select: { id: true },
+    });
+
+    if (!genreRecord) {
+      throw new AppError('Genre not found', 404);
+    }
+  }
+
+  const take = parseInt(limit);
+  const mangaWhere = {
+    approvalStatus: 'APPROVED',
+    ...(genreRecord && { genres: { some: { genreId: genreRecord.id } } }),
+  };
+
+  // Genre lists read the per-genre ranking, where ranks are positions within the genre
+  const scoreQuery = {
+    where: {
+      window: config.key,
+      ...(genreRecord && { genreId: genreRecord.id }),
+      manga: { approvalStatus: 'APPROVED' },
+    },
+    take,
+    orderBy: { rank: 'asc' },
+    include: {
+      manga: { include: mangaInclude },
+    },
+  };
+
+  const scores = genreRecord
+    ? await prisma.genreTrendingScore.findMany(scoreQuery)
+    : await prisma.trendingScore.findMany(scoreQuery);
+
+  if (scores.length > 0) {
+    return {
+      data: scores.map(entry => ({
+        ...formatManga(entry.manga),
+        trending: {
+          rank: entry.rank,
+          score: entry.score,
+          views: entry.views,
+        },
+      })),
+      window,
+      computedAt: scores[0].computedAt,
+      fallback: false,
+    };
+  }
+
+  const manga = await prisma.manga.findMany({
+    where: mangaWhere,
+    take,
+    orderBy: [
+      { totalViews: 'desc' },
+      { averageRating: 'desc' },
+    ],
+    include: mangaInclude,
+  });
+
+  return {
+    data: manga.map(formatManga),
+    window,
+    computedAt: null,
+    fallback: true,
+  };
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+  computeTrendingWindow,
+  refreshTrendingScores,
+  getTrendingManga,
+};
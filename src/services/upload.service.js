@@ -1,8 +1,8 @@
-const { uploadImage, uploadMultipleImages, deleteImage } = require('../config/cloudinary');
+const { getStorage } = require('../storage');
 const { AppError } = require('../middlewares/error.middleware');
 
 /**
- * Upload single image to Cloudinary
+ * Upload single image to the configured storage (STORAGE_DRIVER)
  */
 const uploadSingleImage = async (file, folder = 'manga') => {
   try {
@@ -22,25 +22,15 @@ const uploadSingleImage = async (file, folder = 'manga') => {
       throw new AppError('File too large. Maximum size is 10MB', 400);
     }
 
-    // Prepare file for upload (support both disk storage and memory storage)
-    let fileData;
-    if (file.path) {
-      // Disk storage
-      fileData = file.path;
-    } else if (file.buffer) {
-      // Memory storage - convert to base64 with data URI
-      const base64 = file.buffer.toString('base64');
-      fileData = `data:${file.mimetype};base64,${base64}`;
-    } else {
+    if (!file.path && !file.buffer) {
       throw new AppError('Invalid file data', 400);
     }
 
-    // Upload to Cloudinary
-    const result = await uploadImage(fileData, folder);
-    
+    const result = await getStorage().upload(file, folder);
+
     return {
-      url: result.secure_url,
-      publicId: result.public_id,
+      url: result.url,
+      publicId: result.key,
       width: result.width,
       height: result.height,
       format: result.format,
@@ -51,7 +41,7 @@ const uploadSingleImage = async (file, folder = 'manga') => {
 };
 
 /**
- * Upload multiple images to Cloudinary
+ * Upload multiple images to the configured storage
  */
 const uploadMultiple = async (files, folder = 'manga') => {
   try {
@@ -70,30 +60,23 @@ const uploadMultiple = async (files, folder = 'manga') => {
       if (file.size > maxSize) {
         throw new AppError(`File too large: ${file.originalname}`, 400);
       }
-    }
-
-    // Prepare files for upload
-    const filePaths = files.map(file => {
-      if (file.path) {
-        return file.path;
-      } else if (file.buffer) {
-        const base64 = file.buffer.toString('base64');
-        return `data:${file.mimetype};base64,${base64}`;
-      } else {
+      if (!file.path && !file.buffer) {
         throw new AppError(`Invalid file data: ${file.originalname}`, 400);
       }
-    });
+    }
+
+    const storage = getStorage();
+    const results = await Promise.all(files.map(file => storage.upload(file, folder)));
 
-    const results = await uploadMultipleImages(filePaths, folder);
-    
-    return results;
+    return results.map(result => result.url);
   } catch (error) {
     throw new AppError(error.message || 'Upload failed', error.statusCode || 500);
   }
 };
 
 /**
- * Delete image from Cloudinary
+ * Delete image from the configured storage
+ * @param {string} publicId - Storage key (Cloudinary public ID, file path or object key)
  */
 const deleteImageFromCloud = async (publicId) => {
   try {
@@ -101,31 +84,19 @@ const deleteImageFromCloud = async (publicId) => {
       throw new AppError('Public ID is required', 400);
     }
 
-    const result = await deleteImage(publicId);
-    return result;
+    await getStorage().delete(publicId);
   } catch (error) {
     throw new AppError(error.message, error.statusCode || 500);
   }
 };
 
 /**
- * Extract public ID from Cloudinary URL
+ * Extract the storage key (public ID) from an image URL.
+ * Returns null for URLs that do not belong to the configured storage.
  */
 const extractPublicId = (url) => {
   try {
-    // Extract public_id from Cloudinary URL
-    // Example: https://res.cloudinary.com/cloud/image/upload/v123/folder/image.jpg
-    const parts = url.split('/');
-    const uploadIndex = parts.indexOf('upload');
-    if (uploadIndex === -1) return null;
-    
-    // Get everything after 'upload/v{version}/'
-    const publicIdParts = parts.slice(uploadIndex + 2);
-    const publicIdWithExt = publicIdParts.join('/');
-    
-    // Remove file extension
-    const publicId = publicIdWithExt.substring(0, publicIdWithExt.lastIndexOf('.'));
-    return publicId;
+    return getStorage().getKey(url);
   } catch (error) {
     return null;
   }
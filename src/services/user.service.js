@@ -0,0 +1,328 @@
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const { revokeUserSessions } = require('./session.service');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit.service');
+
+const userListSelect = {
+  id: true,
+  email: true,
+  username: true,
+  role: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  avatar: true,
+  emailVerified: true,
+  createdAt: true,
+  lastLoginAt: true,
+};
+
+/**
+ * Load a user an admin is about to act on.
+ * Admins cannot act on themselves so they never lock themselves out.
+ */
+const findTargetUserOrFail = async (adminId, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: userListSelect,
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.id === adminId) {
+    throw new AppError('You cannot change your own account from the admin panel', 400);
+  }
+
+  return user;
+};
+
+/**
+ * Get users with search and filters (admin)
+ */
+const getUsers = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    search,
+    role,
+    status,
+    sortBy = 'createdAt',
+    order = 'desc',
+  } = options;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { username: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+
+  if (role) where.role = role;
+  if (status) where.status = status;
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: order },
+      select: userListSelect,
+    }),
+    prisma.user.count({ where }),
+  ]);
+
+  return {
+    data: users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  };
+};
+
+/**
+ * Get user details with activity counts (admin)
+ */
+const getUserDetail = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      ...userListSelect,
+      bio: true,
+      emailVerifiedAt: true,
+      updatedAt: true,
+      _count: {
+        select: {
+          comments: true,
+          ratings: true,
+          bookmarks: true,
+          uploadedMangas: true,
+          reports: true,
+        },
+      },
+    },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const activeSessions = await prisma.session.count({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+  });
+
+  return { ...user, activeSessions };
+};
+
+/**
+ * Change user role (admin)
+ */
+const updateUserRole = async (adminId, userId, role) => {
+  const user = await findTargetUserOrFail(adminId, userId);
+
+  if (user.role === role) {
+    throw new AppError(`User is already ${role}`, 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { id: userId },
+      data: { role },
+      select: userListSelect,
+    });
+
+    await recordAudit({
+      actorId: adminId,
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+      targetType: 'USER',
+      targetId: userId,
+      metadata: { from: user.role, to: role },
+    }, tx);
+
+    return updated;
+  });
+};
+
+/**
+ * Set a restrictive status (SUSPENDED / BANNED) and sign the user out everywhere
+ */
+const restrictUser = async (adminId, userId, { status, reason, suspendedUntil = null, action }) => {
+  const user = await findTargetUserOrFail(adminId, userId);
+
+  if (user.role === 'ADMIN') {
+    throw new AppError(`Cannot ${status === 'BANNED' ? 'ban' : 'suspend'} an admin`, 400);
+  }
+
+  if (user.status === 'BANNED' && status === 'SUSPENDED') {
+    throw new AppError('User is banned; unban before suspending', 400);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.user.update({
+      where: { id: userId },
+      data: {
+        status,
+        statusReason: reason,
+        suspendedUntil,
+      },
+      select: userListSelect,
+    });
+
+    await recordAudit({
+      actorId: adminId,
+      action,
+      targetType: 'USER',
+      targetId: userId,
+      metadata: {
+        previousStatus: user.status,
+        reason,
+        ...(suspendedUntil && { suspendedUntil }),
+      },
+    }, tx);
+
+    return result;
+  });
+
+  await revokeUserSessions(userId, { reason: `USER_${status}` });
+
+  return updated;
+};
+
+/**
+ * Suspend user until a given date or for a number of hours (admin)
+ */
+const suspendUser = async (adminId, userId, { until, durationHours, reason }) => {
+  const suspendedUntil = until
+    ? new Date(until)
+    : new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000);
+
+  if (Number.isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+    throw new AppError('Suspension end must be a future date', 400);
+  }
+
+  return restrictUser(adminId, userId, {
+    status: 'SUSPENDED',
+    reason,
+    suspendedUntil,
+    action: AUDIT_ACTIONS.USER_SUSPENDED,
+  });
+};
+
+/**
+ * Ban user permanently (admin)
+ */
+const banUser = async (adminId, userId, { reason }) => {
+  return restrictUser(adminId, userId, {
+    status: 'BANNED',
+    reason,
+    action: AUDIT_ACTIONS.USER_BANNED,
+  });
+};
+
+/**
+ * Lift a ban or suspension (admin)
+ */
+const activateUser = async (adminId, userId) => {
+  const user = await findTargetUserOrFail(adminId, userId);
+
+  if (user.status === 'ACTIVE') {
+    throw new AppError('User is already active', 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { id: userId },
+      data: {
+        status: 'ACTIVE',
+        statusReason: null,
+        suspendedUntil: null,
+      },
+      select: userListSelect,
+    });
+
+    await recordAudit({
+      actorId: adminId,
+      action: AUDIT_ACTIONS.USER_ACTIVATED,
+      targetType: 'USER',
+      targetId: userId,
+      metadata: { previousStatus: user.status },
+    }, tx);
+
+    return updated;
+  });
+};
+
+/**
+ * Reactivate users whose suspension has ended
+ * @param {string} [userId] - Only check this user
+ * @returns {Promise<number>} Number of users reactivated
+ */
+const liftExpiredSuspensions = async (userId) => {
+  const where = {
+    status: 'SUSPENDED',
+    suspendedUntil: { lte: new Date() },
+  };
+
+  if (userId) where.id = userId;
+
+  const expired = await prisma.user.findMany({
+    where,
+    select: { id: true, suspendedUntil: true },
+  });
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  let lifted = 0;
+
+  for (const user of expired) {
+    await prisma.$transaction(async (tx) => {
+      // Re-check the condition so a suspension extended meanwhile is kept
+      const { count } = await tx.user.updateMany({
+        where: { ...where, id: user.id },
+        data: {
+          status: 'ACTIVE',
+          statusReason: null,
+          suspendedUntil: null,
+        },
+      });
+
+      if (count === 0) return;
+
+      await recordAudit({
+        action: AUDIT_ACTIONS.USER_SUSPENSION_EXPIRED,
+        targetType: 'USER',
+        targetId: user.id,
+        metadata: { suspendedUntil: user.suspendedUntil },
+      }, tx);
+
+      lifted++;
+    });
+  }
+
+  return lifted;
+};
+
+module.exports = {
+  getUsers,
+  getUserDetail,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  activateUser,
+  liftExpiredSuspensions,
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { AppError } = require('../middlewares/error.middleware');
+const { hashToken } = require('../utils/jwt.util');
+
+// How long each token type stays valid
+const TOKEN_TTL_MS = {
+  PASSWORD_RESET: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 hour
+  EMAIL_VERIFICATION: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+};
+
+/**
+ * Issue a new single-use token. Unused tokens of the same type are discarded,
+ * so only the most recent email link works.
+ * @returns {Promise<object>} { token, expiresAt, ttlMs }
+ */
+const issueUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMs = TOKEN_TTL_MS[type];
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await prisma.$transaction([
+    prisma.userToken.deleteMany({
+      where: { userId, type, usedAt: null },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt,
+      },
+    }),
+  ]);
+
+  return { token, expiresAt, ttlMs };
+};
+
+/**
+ * Mark a token as used
+ * @returns {Promise<object>} The token row (with userId)
+ */
+const consumeUserToken = async (token, type) => {
+  const userToken = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!userToken || userToken.type !== type || userToken.usedAt || userToken.expiresAt < new Date()) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+
+  // Conditional update so the same token cannot be consumed twice concurrently
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: userToken.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+
+  return userToken;
+};
+
+/**
+ * Get the most recently issued token of a type
+ */
+const getLatestUserToken = async (userId, type) => {
+  return prisma.userToken.findFirst({
+    where: { userId, type },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+module.exports = {
+  TOKEN_TTL_MS,
+  issueUserToken,
+  consumeUserToken,
+  getLatestUserToken,
+};
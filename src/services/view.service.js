@@ -0,0 +1,142 @@
+const prisma = require('../config/database');
+const { createCache } = require('../utils/cache.util');
+
+// A reader (user, or IP + user agent when signed out) counts once per chapter per window
+const VIEW_DEDUPE_WINDOW_MS = parseInt(process.env.VIEW_DEDUPE_WINDOW_MS) || 30 * 60 * 1000; // 30 minutes
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Readers seen recently by this process, so refreshes skip the database lookup
+const recentViewers = createCache({ ttlMs: VIEW_DEDUPE_WINDOW_MS, maxEntries: 50000 });
+
+// Pending view increments: chapterId -> { mangaId, count }
+let pendingViews = new Map();
+
+/**
+ * Key identifying a reader of a chapter, or null when the reader cannot be identified
+ */
+const viewerKey = (chapterId, { userId, ipAddress, userAgent }) => {
+  if (userId) return `${chapterId}:u:${userId}`;
+  if (ipAddress) return `${chapterId}:a:${ipAddress}:${userAgent || ''}`;
+  return null;
+};
+
+/**
+ * Whether this reader already viewed the chapter within the dedupe window
+ */
+const hasRecentView = async (chapterId, { userId, ipAddress, userAgent }) => {
+  const where = {
+    chapterId,
+    viewedAt: { gte: new Date(Date.now() - VIEW_DEDUPE_WINDOW_MS) },
+  };
+
+  if (userId) {
+    where.userId = userId;
+  } else {
+    where.userId = null;
+    where.ipAddress = ipAddress;
+    where.userAgent = userAgent || null;
+  }
+
+  const view = await prisma.chapterView.findFirst({
+    where,
+    select: { id: true },
+  });
+
+  return Boolean(view);
+};
+
+/**
+ * Record a chapter view unless the same reader viewed it recently.
+ * View counters are buffered in memory and written by flushViewCounts.
+ * @param {object} viewer - { userId, ipAddress, userAgent }
+ * @returns {Promise<boolean>} True if the view was counted
+ */
+const recordView = async (chapterId, mangaId, viewer = {}) => {
+  const userAgent = viewer.userAgent ? viewer.userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null;
+  const normalizedViewer = {
+    userId: viewer.userId || null,
+    ipAddress: viewer.ipAddress || null,
+    userAgent,
+  };
+
+  const key = viewerKey(chapterId, normalizedViewer);
+
+  if (key) {
+    if (recentViewers.get(key)) return false;
+
+    // Claim the key before the lookup so concurrent requests are not both counted
+    recentViewers.set(key, true);
+
+    if (await hasRecentView(chapterId, normalizedViewer)) return false;
+  }
+
+  await prisma.chapterView.create({
+    data: {
+      chapterId,
+      ...normalizedViewer,
+    },
+  });
+
+  const pending = pendingViews.get(chapterId);
+  if (pending) {
+    pending.count++;
+  } else {
+    pendingViews.set(chapterId, { mangaId, count: 1 });
+  }
+
+  return true;
+};
+
+/**
+ * Write buffered view counts to Chapter.totalViews and Manga.totalViews
+ * @returns {Promise<number>} Number of views written
+ */
+const flushViewCounts = async () => {
+  if (pendingViews.size === 0) return 0;
+
+  const batch = pendingViews;
+  pendingViews = new Map();
+
+  const mangaCounts = new Map();
+  let total = 0;
+
+  batch.forEach(({ mangaId, count }) => {
+    mangaCounts.set(mangaId, (mangaCounts.get(mangaId) || 0) + count);
+    total += count;
+  });
+
+  try {
+    // updateMany so a chapter or manga deleted meanwhile does not fail the batch
+    await prisma.$transaction([
+      ...Array.from(batch, ([chapterId, { count }]) => prisma.chapter.updateMany({
+        where: { id: chapterId },
+        data: { totalViews: { increment: count } },
+      })),
+      ...Array.from(mangaCounts, ([mangaId, count]) => prisma.manga.updateMany({
+        where: { id: mangaId },
+        data: { totalViews: { increment: count } },
+      })),
+    ]);
+  } catch (error) {
+    // Put the counts back so the next flush retries them
+    batch.forEach(({ mangaId, count }, chapterId) => {
+      const pending = pendingViews.get(chapterId);
+      if (pending) {
+        pending.count += count;
+      } else {
+        pendingViews.set(chapterId, { mangaId, count });
+      }
+    });
+
+    throw error;
+  }
+
+  return total;
+};
+
+module.exports = {
+  VIEW_DEDUPE_WINDOW_MS,
+  recordView,
+  flushViewCounts,
+};
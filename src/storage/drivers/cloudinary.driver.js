@@ -0,0 +1,43 @@
+/**
+ * Cloudinary driver (production default). Images are resized and optimized by Cloudinary.
+ */
+const createCloudinaryDriver = () => {
+  // Required here so other drivers run without Cloudinary credentials
+  const { uploadImage, deleteImage } = require('../../config/cloudinary');
+
+  return {
+    name: 'cloudinary',
+
+    upload: async (file, folder) => {
+      // Support both disk storage and memory storage (base64 data URI)
+      const data = file.path || `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+      const result = await uploadImage(data, folder);
+
+      return {
+        url: result.secure_url,
+        key: result.public_id,
+        width: result.width,
+        height: result.height,
+        format: result.format,
+      };
+    },
+
+    delete: async (key) => {
+      await deleteImage(key);
+    },
+
+    // https://res.cloudinary.com/cloud/image/upload/v123/folder/image.jpg → folder/image
+    getKey: (url) => {
+      if (typeof url !== 'string') return null;
+
+      const parts = url.split('/');
+      const uploadIndex = parts.indexOf('upload');
+      if (uploadIndex === -1) return null;
+
+      const publicIdWithExt = parts.slice(uploadIndex + 2).join('/');
+      return publicIdWithExt.substring(0, publicIdWithExt.lastIndexOf('.')) || null;
+    },
+  };
+};
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createObjectKey, getFormat, getKeyFromBaseUrl } = require('../../utils/storage.util');
+
+/**
+ * Local filesystem driver (local development and tests).
+ * Files are served by app.js at /uploads; STORAGE_PUBLIC_URL is the public URL of that route.
+ */
+const createLocalDriver = () => {
+  const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const baseUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`)
+    .replace(/\/+$/, '');
+
+  // Keys come from URLs, so make sure they stay inside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(`${directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    upload: async (file, folder) => {
+      const key = createObjectKey(folder, file);
+      const filePath = resolveKey(key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      if (file.path) {
+        await fs.copyFile(file.path, filePath);
+      } else {
+        await fs.writeFile(filePath, file.buffer);
+      }
+
+      return {
+        url: `${baseUrl}/${key}`,
+        key,
+        width: null,
+        height: null,
+        format: getFormat(key),
+      };
+    },
+
+    delete: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getKey: (url) => getKeyFromBaseUrl(url, baseUrl),
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const { createObjectKey, getFormat, getKeyFromBaseUrl } = require('../../utils/storage.util');
+
+/**
+ * S3-compatible driver (AWS S3, Cloudflare R2, MinIO, ...).
+ * Objects must be publicly readable at S3_PUBLIC_URL (bucket policy or CDN).
+ */
+const createS3Driver = () => {
+  // Required here so the SDK is only loaded when this driver is used
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted servers need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Without explicit keys the SDK uses its default chain (env, profile, IAM role)
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      }
+      : undefined,
+  });
+
+  const baseUrl = (
+    process.env.S3_PUBLIC_URL
+    || (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    upload: async (file, folder) => {
+      const key = createObjectKey(folder, file);
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: file.buffer || await fs.readFile(file.path),
+        ContentType: file.mimetype,
+        // Keys are unique per upload, so objects never change
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+
+      return {
+        url: `${baseUrl}/${key}`,
+        key,
+        width: null,
+        height: null,
+        format: getFormat(key),
+      };
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key,
+      }));
+    },
+
+    getKey: (url) => getKeyFromBaseUrl(url, baseUrl),
+  };
+};
+
+module.exports = createS3Driver;
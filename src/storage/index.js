@@ -0,0 +1,33 @@
+const createCloudinaryDriver = require('./drivers/cloudinary.driver');
+const createLocalDriver = require('./drivers/local.driver');
+const createS3Driver = require('./drivers/s3.driver');
+
+// Selected with STORAGE_DRIVER. A driver is
+// { name, upload(file, folder), delete(key), getKey(url) } where upload returns
+// { url, key, width, height, format } and getKey returns null for URLs it does not own.
+const drivers = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let storage;
+
+/**
+ * Get the configured storage driver (created on first use)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+
+    storage = drivers[name]();
+  }
+
+  return storage;
+};
+
+module.exports = { getStorage };
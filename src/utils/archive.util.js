@@ -0,0 +1,380 @@
+const path = require('path');
+const yauzl = require('yauzl');
+const { AppError } = require('../middlewares/error.middleware');
+
+const IMAGE_EXTENSIONS = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+// Same per-image limit as direct uploads
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_ARCHIVE_PAGES = parseInt(process.env.ARCHIVE_MAX_PAGES) || 500;
+// Guards against archives that expand far beyond their upload size
+const MAX_EXTRACTED_SIZE = parseInt(process.env.ARCHIVE_MAX_EXTRACTED_SIZE) || 500 * 1024 * 1024; // 500MB
+// Bulk imports (one folder per chapter)
+const MAX_ARCHIVE_CHAPTERS = parseInt(process.env.ARCHIVE_MAX_CHAPTERS) || 1000;
+const MAX_BULK_EXTRACTED_SIZE = parseInt(process.env.ARCHIVE_BULK_MAX_EXTRACTED_SIZE) || 4 * 1024 * 1024 * 1024; // 4GB
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare file paths the way people number pages: "2.jpg" < "10.jpg"
+ */
+const naturalCompare = (a, b) => naturalCollator.compare(a, b);
+
+/**
+ * Detect the image type from the first bytes of the file
+ * @returns {string|null} Mimetype, or null if the data is not a supported image
+ */
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+
+  if (
+    buffer.length >= 12
+    && buffer.toString('ascii', 0, 4) === 'RIFF'
+    && buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+
+  return null;
+};
+
+// OS metadata that ends up in archives created on macOS/Windows
+const isSystemFile = (entryName) => {
+  const parts = entryName.split('/');
+  return parts.includes('__MACOSX') || parts.some(part => part.startsWith('.')) || path.basename(entryName) === 'Thumbs.db';
+};
+
+const invalidArchiveError = () => new AppError('Invalid archive: only ZIP and CBZ files are supported', 400);
+
+// Archives are read with yauzl: entries are listed from the central directory and
+// inflated as streams (zlib runs off the event loop), so large archives do not block the process
+const openArchive = (filePath) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zip) => {
+    if (error) {
+      return reject(invalidArchiveError());
+    }
+
+    resolve(zip);
+  });
+});
+
+/**
+ * List the entries of an opened archive from its central directory
+ * @returns {Promise<Array<object>>} { entryName, isDirectory, size, zipEntry }
+ */
+const listEntries = (zip) => new Promise((resolve, reject) => {
+  const entries = [];
+
+  zip.on('entry', (zipEntry) => {
+    entries.push({
+      entryName: zipEntry.fileName,
+      isDirectory: zipEntry.fileName.endsWith('/'),
+      size: zipEntry.uncompressedSize,
+      zipEntry,
+    });
+    zip.readEntry();
+  });
+  zip.on('end', () => resolve(entries));
+  zip.on('error', () => reject(invalidArchiveError()));
+
+  zip.readEntry();
+});
+
+/**
+ * List the entries of an archive file; no file data is read or inflated,
+ * so this is cheap even for large uploads
+ * @returns {Promise<Array<object>>} { entryName, isDirectory, size, zipEntry }
+ */
+const readArchiveEntries = async (filePath) => {
+  const zip = await openArchive(filePath);
+
+  try {
+    return await listEntries(zip);
+  } finally {
+    zip.close();
+  }
+};
+
+/**
+ * Inflate one entry, giving up once it grows past `maxSize`
+ * @returns {Promise<Buffer|null>} The data, or null if it is too large
+ */
+const inflateEntry = (zip, entry, maxSize) => new Promise((resolve, reject) => {
+  zip.openReadStream(entry.zipEntry, (error, stream) => {
+    if (error) {
+      return reject(invalidArchiveError());
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        stream.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', () => reject(invalidArchiveError()));
+  });
+});
+
+/**
+ * Image entries of an archive, without OS metadata and non-image files
+ */
+const getImageEntries = (entries) => entries
+  .filter(entry => !entry.isDirectory && !isSystemFile(entry.entryName))
+  .filter(entry => IMAGE_EXTENSIONS[path.extname(entry.entryName).toLowerCase()]);
+
+const assertExtractedSize = (entries, maxSize) => {
+  // Check declared sizes before inflating anything
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (declaredSize > maxSize) {
+    throw new AppError('The archive is too large once extracted', 400);
+  }
+};
+
+/**
+ * Inflate one image entry and check that it really is an image
+ * @returns {Promise<object>} Multer-like file: { originalname, mimetype, size, buffer }
+ */
+const readPage = async (zip, entry) => {
+  if (entry.size > MAX_IMAGE_SIZE) {
+    throw new AppError(`Image too large: ${entry.entryName} (maximum is 10MB)`, 400);
+  }
+
+  // Declared sizes can lie; trust only the inflated data
+  const data = await inflateEntry(zip, entry, MAX_IMAGE_SIZE);
+  if (!data) {
+    throw new AppError(`Image too large: ${entry.entryName} (maximum is 10MB)`, 400);
+  }
+
+  const mimetype = detectImageType(data);
+  if (!mimetype) {
+    throw new AppError(`Not a valid JPEG, PNG or WebP image: ${entry.entryName}`, 400);
+  }
+
+  return {
+    originalname: entry.entryName,
+    mimetype,
+    size: data.length,
+    buffer: data,
+  };
+};
+
+/**
+ * Page entries of a chapter archive in reading order, checked against the
+ * page count and declared size limits
+ */
+const getChapterPageEntries = (archiveEntries) => {
+  const entries = getImageEntries(archiveEntries);
+
+  if (entries.length === 0) {
+    throw new AppError('The archive does not contain any images', 400);
+  }
+
+  if (entries.length > MAX_ARCHIVE_PAGES) {
+    throw new AppError(`The archive contains ${entries.length} images; the maximum is ${MAX_ARCHIVE_PAGES}`, 400);
+  }
+
+  assertExtractedSize(entries, MAX_EXTRACTED_SIZE);
+
+  entries.sort((a, b) => naturalCompare(a.entryName, b.entryName));
+
+  return entries;
+};
+
+/**
+ * Check a chapter archive file without inflating it: it must be a ZIP/CBZ
+ * with 1..MAX_ARCHIVE_PAGES images within the declared size limit.
+ * Image contents are checked when the archive is extracted.
+ * @returns {Promise<number>} Number of pages
+ */
+const checkChapterArchive = async (filePath) => {
+  const entries = getChapterPageEntries(await readArchiveEntries(filePath));
+  return entries.length;
+};
+
+/**
+ * Read pages one at a time so only one entry is being inflated
+ */
+const readPages = async (zip, entries) => {
+  const pages = [];
+  for (const entry of entries) {
+    pages.push(await readPage(zip, entry));
+  }
+  return pages;
+};
+
+/**
+ * Extract the page images of a ZIP/CBZ archive in reading order.
+ * Files that are not images (ComicInfo.xml, text files) are skipped;
+ * files with an image extension must really be JPEG, PNG or WebP.
+ * @param {string} filePath - Archive file
+ * @returns {Promise<Array<object>>} Multer-like files: { originalname, mimetype, size, buffer }
+ */
+const extractImagesFromArchive = async (filePath) => {
+  const zip = await openArchive(filePath);
+
+  try {
+    return await readPages(zip, getChapterPageEntries(await listEntries(zip)));
+  } finally {
+    zip.close();
+  }
+};
+
+/**
+ * Read the chapter number and title from a folder name, e.g.
+ * "Chapter 5.5 - Side Story", "Ch.012", "12. The Return" or "7"
+ * @returns {object|null} { chapterNumber, title }, or null without a number
+ */
+const parseChapterFolderName = (name) => {
+  const match = name.match(/(?:^|[\s._-])ch(?:apter|ap)?[\s._-]*(\d+(?:\.\d+)?)(.*)$/i)
+    || name.match(/^\s*(\d+(?:\.\d+)?)(.*)$/);
+
+  if (!match) return null;
+
+  const title = match[2].replace(/^[\s\-_:.]+/, '').trim();
+
+  return {
+    chapterNumber: parseFloat(match[1]),
+    title: title || null,
+  };
+};
+
+/**
+ * Group the entries of a bulk archive into chapters, one folder per chapter.
+ * A single folder wrapping all chapter folders (e.g. the series name) is ignored.
+ * Only names and declared sizes are used, so nothing is inflated.
+ * @returns {Array<object>} Chapters by number: { folder, chapterNumber, title, entries }
+ */
+const groupChapterFolders = (archiveEntries) => {
+  const entries = getImageEntries(archiveEntries);
+
+  if (entries.length === 0) {
+    throw new AppError('The archive does not contain any images', 400);
+  }
+
+  let paths = entries.map(entry => entry.entryName.split('/'));
+
+  // A shared top folder is a wrapper unless it is the only chapter (e.g. "Ch 1/raw/001.jpg")
+  const root = paths[0][0];
+  const isWrapped = paths.every(parts => parts.length > 2 && parts[0] === root)
+    && (new Set(paths.map(parts => parts[1])).size > 1 || !parseChapterFolderName(root));
+
+  if (isWrapped) {
+    paths = paths.map(parts => parts.slice(1));
+  }
+
+  const folders = new Map();
+
+  entries.forEach((entry, index) => {
+    const parts = paths[index];
+
+    if (parts.length < 2) {
+      throw new AppError(`Images must be inside one folder per chapter: ${entry.entryName}`, 400);
+    }
+
+    if (!folders.has(parts[0])) folders.set(parts[0], []);
+    folders.get(parts[0]).push(entry);
+  });
+
+  if (folders.size > MAX_ARCHIVE_CHAPTERS) {
+    throw new AppError(`The archive contains ${folders.size} chapters; the maximum is ${MAX_ARCHIVE_CHAPTERS}`, 400);
+  }
+
+  assertExtractedSize(entries, MAX_BULK_EXTRACTED_SIZE);
+
+  const chapters = [];
+  const folderByNumber = new Map();
+
+  for (const [folder, chapterEntries] of folders) {
+    const parsed = parseChapterFolderName(folder);
+
+    if (!parsed) {
+      throw new AppError(`Cannot read a chapter number from folder "${folder}"`, 400);
+    }
+
+    if (folderByNumber.has(parsed.chapterNumber)) {
+      throw new AppError(
+        `Folders "${folderByNumber.get(parsed.chapterNumber)}" and "${folder}" are both chapter ${parsed.chapterNumber}`,
+        400
+      );
+    }
+    folderByNumber.set(parsed.chapterNumber, folder);
+
+    if (chapterEntries.length > MAX_ARCHIVE_PAGES) {
+      throw new AppError(`Folder "${folder}" contains ${chapterEntries.length} images; the maximum is ${MAX_ARCHIVE_PAGES}`, 400);
+    }
+
+    chapterEntries.sort((a, b) => naturalCompare(a.entryName, b.entryName));
+
+    chapters.push({
+      folder,
+      ...parsed,
+      entries: chapterEntries,
+    });
+  }
+
+  return chapters.sort((a, b) => a.chapterNumber - b.chapterNumber);
+};
+
+/**
+ * Check the folder layout of a bulk archive file without inflating it
+ * (see groupChapterFolders). Image contents are checked when the archive is extracted.
+ * @returns {Promise<number>} Number of chapters
+ */
+const checkChapterFolders = async (filePath) => {
+  const chapters = groupChapterFolders(await readArchiveEntries(filePath));
+  return chapters.length;
+};
+
+/**
+ * Open a bulk archive split into chapters (see groupChapterFolders).
+ * Pages are only inflated when `readPages()` is called, so chapters can be
+ * processed one at a time. Call `close()` once done.
+ * @param {string} filePath - Archive file
+ * @returns {Promise<object>} { chapters, close }; chapters by number:
+ *   { folder, chapterNumber, title, totalImages, readPages() }
+ */
+const openChapterFolders = async (filePath) => {
+  const zip = await openArchive(filePath);
+
+  try {
+    const chapters = groupChapterFolders(await listEntries(zip))
+      .map(({ entries, ...chapter }) => ({
+        ...chapter,
+        totalImages: entries.length,
+        readPages: () => readPages(zip, entries),
+      }));
+
+    return { chapters, close: () => zip.close() };
+  } catch (error) {
+    zip.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  naturalCompare,
+  detectImageType,
+  checkChapterArchive,
+  extractImagesFromArchive,
+  parseChapterFolderName,
+  checkChapterFolders,
+  openChapterFolders,
+};
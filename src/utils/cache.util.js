@@ -0,0 +1,68 @@
+/**
+ * Create a small in-memory cache with per-entry TTL.
+ * When full, the least recently used entry is evicted.
+ * @param {object} options - { ttlMs, maxEntries }
+ */
+const createCache = ({ ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so Map order tracks recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value, customTtlMs = ttlMs) => {
+    entries.delete(key);
+
+    if (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    entries.set(key, { value, expiresAt: Date.now() + customTtlMs });
+    return value;
+  };
+
+  /**
+   * Return the cached value or compute, store and return it
+   */
+  const wrap = async (key, compute) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    return set(key, await compute());
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+  };
+};
+
+/**
+ * Resolve with the promise result, or with a fallback if it takes longer than ms.
+ * The underlying work is not cancelled; its late result is ignored.
+ */
+const withTimeout = (promise, ms, fallback) => {
+  let timer;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = { createCache, withTimeout };
@@ -0,0 +1,43 @@
+/**
+ * Map items with an async function, running at most `limit` calls at a time.
+ * Stops starting new calls after the first failure, waits for the calls
+ * already in flight to settle, then rejects with the first error.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {function} fn - (item, index) => Promise
+ * @param {function} [onProgress] - Called with the number of completed items
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+const mapWithConcurrency = async (items, limit, fn, onProgress) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+
+      completed++;
+      if (onProgress) onProgress(completed);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+
+  // Settle every worker so callers can clean up the results of calls that finished late
+  const settled = await Promise.allSettled(workers);
+  const failure = settled.find(result => result.status === 'rejected');
+  if (failure) throw failure.reason;
+
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
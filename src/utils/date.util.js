@@ -0,0 +1,52 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get midnight (UTC) of the given date
+ * @param {Date|string|number} date - Any value accepted by Date
+ * @returns {Date} Date at 00:00:00.000 UTC
+ */
+const startOfUtcDay = (date = new Date()) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Add whole days to a date
+ * @param {Date} date - Base date
+ * @param {number} days - Number of days (can be negative)
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+  return new Date(date.getTime() + days * DAY_MS);
+};
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC day
+ * @param {string} value - Date string
+ * @returns {Date|null} UTC midnight or null when invalid
+ */
+const parseDateOnly = (value) => {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const formatDateOnly = (date) => {
+  return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  DAY_MS,
+  startOfUtcDay,
+  addDays,
+  parseDateOnly,
+  formatDateOnly,
+};
@@ -1,12 +1,14 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
  * Generate JWT access token
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '7d',
   });
 };
@@ -14,12 +16,16 @@ const generateAccessToken = (userId) => {
 /**
  * Generate JWT refresh token
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
-  });
+const generateRefreshToken = (userId, sessionId) => {
+  // jti keeps two tokens issued in the same second distinct
+  return jwt.sign(
+    { id: userId, sid: sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
+  );
 };
 
 /**
@@ -31,15 +37,24 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+/**
+ * Hash a token for storage (refresh tokens are never stored in plain text)
+ * @param {string} token - Token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Send token response with cookie
  * @param {object} user - User object
  * @param {number} statusCode - HTTP status code
  * @param {object} res - Express response object
+ * @param {object} tokens - { accessToken, refreshToken } issued for the session
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  const accessToken = generateAccessToken(user.id);
-  const refreshToken = generateRefreshToken(user.id);
+const sendTokenResponse = (user, statusCode, res, tokens) => {
+  const { accessToken, refreshToken } = tokens;
 
   const cookieOptions = {
     expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
@@ -49,7 +64,7 @@ const sendTokenResponse = (user, statusCode, res) => {
   };
 
   // Remove password from output
-  const { password, refreshToken: _, ...userWithoutPassword } = user;
+  const { password, ...userWithoutPassword } = user;
 
   res
     .status(statusCode)
@@ -66,6 +81,7 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
+  hashToken,
   sendTokenResponse,
 };
 
@@ -0,0 +1,156 @@
+const { AppError } = require('../middlewares/error.middleware');
+
+const MAX_CURSOR_LENGTH = 1024;
+
+/**
+ * Whether the request asked for cursor pagination (?cursor= starts it, ?cursor=<next> continues)
+ */
+const isCursorMode = (filters = {}) => filters.cursor !== undefined;
+
+/**
+ * Sort keys for keyset pagination. The id is always appended as the last key
+ * so every row has a unique position even when sort values are equal.
+ * @param {Array<object|string>} fields - Field names or { field, nullable }
+ * @param {string} order - asc | desc
+ * @returns {Array<object>} [{ field, order, nullable }]
+ */
+const buildSortKeys = (fields, order = 'desc') => [
+  ...fields.map(field => ({
+    order,
+    nullable: false,
+    ...(typeof field === 'string' ? { field } : field),
+  })),
+  { field: 'id', order, nullable: false },
+];
+
+// Sort signature stored in the cursor so it cannot be replayed with another sort
+const sortSignature = (sortKeys) => sortKeys.map(key => `${key.field}:${key.order}`).join(',');
+
+const serializeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value);
+
+const deserializeValue = (value) => (value && typeof value === 'object' ? new Date(value.d) : value);
+
+/**
+ * Encode the position of a row as an opaque cursor
+ */
+const encodeCursor = (row, sortKeys) => {
+  const payload = {
+    s: sortSignature(sortKeys),
+    v: sortKeys.map(key => serializeValue(row[key.field] ?? null)),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into sort values
+ * @returns {Array} Values in sort key order
+ */
+const decodeCursor = (cursor, sortKeys) => {
+  try {
+    if (cursor.length > MAX_CURSOR_LENGTH) throw new Error('Cursor too long');
+
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (
+      payload.s !== sortSignature(sortKeys)
+      || !Array.isArray(payload.v)
+      || payload.v.length !== sortKeys.length
+    ) {
+      throw new Error('Cursor does not match sort');
+    }
+
+    const values = payload.v.map(deserializeValue);
+
+    if (values.some(value => value instanceof Date && Number.isNaN(value.getTime()))) {
+      throw new Error('Invalid date in cursor');
+    }
+
+    return values;
+  } catch (error) {
+    throw new AppError('Invalid or expired cursor; restart from the first page', 400);
+  }
+};
+
+/**
+ * Condition matching rows that come strictly after the given value of one key.
+ * Nulls are sorted last, so nothing comes after a null except through later keys.
+ */
+const afterValue = (key, value) => {
+  if (value === null) return null;
+
+  const after = { [key.field]: { [key.order === 'desc' ? 'lt' : 'gt']: value } };
+
+  return key.nullable ? { OR: [after, { [key.field]: null }] } : after;
+};
+
+/**
+ * Build the where, orderBy and take for one page of keyset pagination
+ * @param {Array<object>} sortKeys - From buildSortKeys
+ * @param {string} cursor - Cursor from the previous page ('' for the first page)
+ * @param {number} limit - Page size
+ * @returns {object} { where, orderBy, take } - where is null on the first page
+ */
+const buildCursorQuery = (sortKeys, cursor, limit) => {
+  const orderBy = sortKeys.map(key => ({
+    [key.field]: key.nullable ? { sort: key.order, nulls: 'last' } : key.order,
+  }));
+
+  // One extra row tells whether there is a next page
+  const take = parseInt(limit) + 1;
+
+  if (!cursor) {
+    return { where: null, orderBy, take };
+  }
+
+  const values = decodeCursor(String(cursor), sortKeys);
+
+  // (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+  const branches = sortKeys
+    .map((key, index) => {
+      const after = afterValue(key, values[index]);
+      if (!after) return null;
+
+      const equalPrefix = sortKeys
+        .slice(0, index)
+        .map((prefixKey, prefixIndex) => ({ [prefixKey.field]: values[prefixIndex] }));
+
+      return equalPrefix.length > 0 ? { AND: [...equalPrefix, after] } : after;
+    })
+    .filter(Boolean);
+
+  return { where: { OR: branches }, orderBy, take };
+};
+
+/**
+ * Combine a where clause with the cursor condition
+ */
+const withCursorWhere = (where, cursorWhere) => (cursorWhere ? { AND: [where, cursorWhere] } : where);
+
+/**
+ * Trim the extra row fetched by buildCursorQuery and build the pagination info
+ * @param {Array} rows - Rows fetched with take = limit + 1
+ * @returns {object} { items, pagination: { limit, nextCursor, hasMore } }
+ */
+const buildCursorPage = (rows, sortKeys, limit) => {
+  const take = parseInt(limit);
+  const hasMore = rows.length > take;
+  const items = hasMore ? rows.slice(0, take) : rows;
+
+  return {
+    items,
+    pagination: {
+      limit: take,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortKeys) : null,
+      hasMore,
+    },
+  };
+};
+
+module.exports = {
+  isCursorMode,
+  buildSortKeys,
+  buildCursorQuery,
+  withCursorWhere,
+  buildCursorPage,
+};
@@ -0,0 +1,161 @@
+// Letters that NFKD does not decompose into base letter + accent
+const SPECIAL_CHARS = {
+  'đ': 'd',
+  'Đ': 'd',
+  'ø': 'o',
+  'Ø': 'o',
+  'ł': 'l',
+  'Ł': 'l',
+  'æ': 'ae',
+  'Æ': 'ae',
+  'œ': 'oe',
+  'Œ': 'oe',
+  'ß': 'ss',
+};
+
+const MAX_QUERY_TERMS = 8;
+
+/**
+ * Normalize one character: lowercase, without diacritics
+ */
+const normalizeChar = (char) => {
+  if (SPECIAL_CHARS[char]) return SPECIAL_CHARS[char];
+
+  // NFKD also unfolds compatibility forms (ligatures, full-width letters)
+  const normalized = char
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+  // Anything that is not a letter or digit acts as a word separator
+  return /^[\p{L}\p{N}]*$/u.test(normalized) ? normalized : ' ';
+};
+
+/**
+ * Normalize text for accent-insensitive search: "Đảo Hải Tặc!" -> "dao hai tac"
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text without diacritics or punctuation
+ */
+const normalizeSearchText = (text) => {
+  if (!text) return '';
+
+  return Array.from(text)
+    .map(normalizeChar)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split a search query into normalized terms
+ * @param {string} query - Raw query
+ * @returns {string[]} Unique terms
+ */
+const tokenizeQuery = (query) => {
+  const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+};
+
+/**
+ * Compute the denormalized search columns of a manga
+ * @param {object} manga - { title, alternativeTitles, description, authorNames }
+ * @returns {object} { searchTitle, searchText }
+ */
+const buildSearchFields = ({ title, alternativeTitles = [], description, authorNames = [] }) => ({
+  searchTitle: normalizeSearchText([title, ...alternativeTitles, ...authorNames].filter(Boolean).join(' | ')),
+  searchText: normalizeSearchText(description),
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Find where the terms occur in the original text.
+ * The text is normalized character by character so positions in the
+ * normalized string can be mapped back to the original.
+ * @returns {Array<[number, number]>} Merged [start, end) ranges in the original text
+ */
+const findMatches = (text, terms) => {
+  const chars = Array.from(text);
+  let normalized = '';
+  const origins = [];
+  let offset = 0;
+
+  chars.forEach(char => {
+    const value = normalizeChar(char);
+    normalized += value;
+    for (let i = 0; i < value.length; i++) origins.push([offset, offset + char.length]);
+    offset += char.length;
+  });
+
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      ranges.push([origins[index][0], origins[index + term.length - 1][1]]);
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Highlight matched terms with <mark>, HTML-escaping the rest.
+ * Long text is cut to a snippet around the first match.
+ * @param {string} text - Original text
+ * @param {string[]} terms - Normalized query terms
+ * @param {number} [maxLength] - Snippet length (0 = whole text)
+ * @returns {string|null} Highlighted HTML, or null when nothing matches
+ */
+const highlight = (text, terms, maxLength = 0) => {
+  if (!text || terms.length === 0) return null;
+
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+
+  if (maxLength && text.length > maxLength) {
+    start = Math.max(0, matches[0][0] - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+  }
+
+  let result = '';
+  let cursor = start;
+
+  matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      result += escapeHtml(text.slice(cursor, from));
+      result += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      cursor = to;
+    });
+
+  result += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  normalizeSearchText,
+  tokenizeQuery,
+  buildSearchFields,
+  highlight,
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+
+/**
+ * Clean a folder name from user input so it cannot leave the storage root
+ * ("../x" and absolute paths are flattened)
+ */
+const sanitizeFolder = (folder = '') => {
+  return folder
+    .split(/[\\/]+/)
+    .filter(part => part && part !== '.' && part !== '..')
+    .map(part => part.replace(/[^a-zA-Z0-9._-]/g, '-'))
+    .join('/');
+};
+
+/**
+ * Unique object key for an uploaded file, e.g. "manga/covers/1700000000000-3f9a1c2b.jpg"
+ */
+const createObjectKey = (folder, file) => {
+  const extension = MIME_EXTENSIONS[file.mimetype] || path.extname(file.originalname || '').toLowerCase();
+  const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`;
+  const cleanFolder = sanitizeFolder(folder);
+
+  return cleanFolder ? `${cleanFolder}/${name}` : name;
+};
+
+/**
+ * Image format from a key or file name ("jpg", "png", ...)
+ */
+const getFormat = (key) => path.extname(key).slice(1).toLowerCase() || null;
+
+/**
+ * Key of a URL under `baseUrl`, or null for other URLs
+ */
+const getKeyFromBaseUrl = (url, baseUrl) => {
+  if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+  return decodeURIComponent(url.slice(baseUrl.length + 1).split('?')[0]) || null;
+};
+
+module.exports = {
+  sanitizeFolder,
+  createObjectKey,
+  getFormat,
+  getKeyFromBaseUrl,
+};
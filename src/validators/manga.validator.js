@@ -0,0 +1,61 @@
+const { query } = require('express-validator');
+const { MANGA_STATUSES, parseListParam } = require('../services/manga.service');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'totalViews', 'averageRating', 'lastChapterAt'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_LIST_ITEMS = 20;
+
+const isSlugList = (value) => {
+  const slugs = parseListParam(value);
+  if (slugs.length > MAX_LIST_ITEMS || !slugs.every(slug => SLUG_PATTERN.test(slug))) {
+    throw new Error(`Must be a comma-separated list of at most ${MAX_LIST_ITEMS} slugs`);
+  }
+  return true;
+};
+
+/**
+ * Query validation for manga list endpoints (GET /api/manga, GET /api/genres/:slug/manga)
+ */
+const mangaListFilters = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().isString().isLength({ max: 1024 }).withMessage('Invalid cursor'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  query('status')
+    .optional()
+    .custom(value => {
+      const statuses = parseListParam(value);
+      if (!statuses.every(status => MANGA_STATUSES.includes(status))) {
+        throw new Error(`Status must be a comma-separated list of ${MANGA_STATUSES.join(', ')}`);
+      }
+      return true;
+    }),
+  query('genre').optional().custom(isSlugList),
+  query('genres').optional().custom(isSlugList),
+  query('excludeGenres').optional().custom(isSlugList),
+  query('genreMode').optional().isIn(['and', 'or']).withMessage("genreMode must be 'and' or 'or'"),
+  query('author')
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage('Author must be a slug'),
+  query('yearFrom').optional().isInt({ min: 1900, max: 2100 }).withMessage('yearFrom must be a year'),
+  query('yearTo')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('yearTo must be a year')
+    .custom((value, { req }) => {
+      if (req.query.yearFrom !== undefined && parseInt(value) < parseInt(req.query.yearFrom)) {
+        throw new Error('yearTo must be greater than or equal to yearFrom');
+      }
+      return true;
+    }),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('minRating must be between 0 and 5'),
+  query('minChapters').optional().isInt({ min: 0 }).withMessage('minChapters must be a non-negative integer'),
+  query('sortBy')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`sortBy must be one of ${SORT_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+];
+
+module.exports = { mangaListFilters };
@@ -0,0 +1,34 @@
+/**
+ * Standalone job worker: runs queued uploads and imports outside the API process.
+ * Start the API with JOB_WORKER=false when jobs run here.
+ *
+ * Usage:
+ *   npm run worker
+ */
+require('dotenv').config();
+const prisma = require('./config/database');
+const { connectWithRetry } = require('./config/database');
+const { startWorker, stopWorker } = require('./queue/worker');
+
+const shutdown = async (signal) => {
+  console.log(`👋 ${signal} received. Stopping job worker...`);
+  await stopWorker();
+  await prisma.$disconnect();
+  console.log('💥 Worker stopped');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+connectWithRetry(5, 3000)
+  .then(() => {
+    startWorker();
+
+    // The worker's timers are unref'd; keep the process alive until a signal arrives
+    setInterval(() => {}, 60 * 60 * 1000);
+  })
+  .catch(error => {
+    console.error('❌ Job worker failed to start:', error.message);
+    process.exit(1);
+  });